@@ -0,0 +1,399 @@
+/*
+ * Campaigns: the levels of the game, grouped in chapters.
+ *
+ * Campaigns are read through an `MB_CampaignRepository`: `MB_SupabaseCampaignRepository` for the game's Supabase
+ * project, `MB_LocalCampaignRepository` for the campaigns bundled with the game (campaigns-local.json), or
+ * `MB_FallbackCampaignRepository` to use the bundled ones while Supabase can't be reached.
+ *
+ * Repositories give campaigns as plain objects, shaped like the options of `MB_Campaign`, `MB_Chapter` and `MB_Level`:
+ * - a campaign has an `id`, a `name`, a `description`, a `thumbnail_url`, an `owner` (`{id, display_name, photo_url}`,
+ *   or null for the game's own campaigns) and, once fetched with `getCampaign`, its `chapters` in order;
+ * - a chapter has an `id`, a `name`, a `description`, a `thumbnail_url` and its `levels` in order;
+ * - a level has an `id`, a `name`, a `description`, a `thumbnail_url`, a `type`, its level document as `data`
+ *   (see `MB_LevelFormat`), its medal times as `medals` and what unlocks it as `unlock` (see `MB_CampaignProgression`).
+ * The owner of a campaign (`owner.id`) is the only player who may change it.
+ */
+
+import { MB_SupabaseUtility } from './mb-supabase.js';
+
+/** The medals a run can earn, best first. */
+export const MB_MEDALS = ["gold", "silver", "bronze"];
+
+export class MB_CampaignProgression {
+    /**
+     * What unlocks the levels that don't say: finishing the level before them.
+     * The rules a level's `unlock` can have are:
+     * - `{type: "always"}`: the level is never locked;
+     * - `{type: "previous"}`: the level before it in the campaign (chapters included) must be finished;
+     * - `{type: "medal", level, medal}`: a medal (see `MB_MEDALS`), or a better one, must be earned on a level of the campaign;
+     * - `{type: "stars", count}`: that many stars must be collected on the levels of the campaign.
+     * @type {{type: string}}
+     */
+    static defaultUnlock = {type: "previous"};
+
+    /**
+     * Gives the medal a finish time earns on a level: the best one whose target time it beats or matches.
+     * A level's `medals` are the target times, in seconds, as `{gold, silver, bronze}` (or null for no medals).
+     * @param {{medals: ?{gold: number, silver: number, bronze: number}}} level - The level.
+     * @param {?number} time - The finish time, in seconds, or null if the level was never finished.
+     * @returns {?('gold' | 'silver' | 'bronze')} The medal, or null if it earns none.
+     */
+    static getMedal(level, time) {
+        if (time === null || time === undefined || !level.medals) return null;
+        return MB_MEDALS.find(medal => time <= level.medals[medal]) || null;
+    }
+
+    /**
+     * Gives the stars a finish time collects on a level: 3 for gold, 2 for silver, 1 for bronze.
+     * @param {{medals: ?Object}} level - The level.
+     * @param {?number} time - The finish time, in seconds, or null if the level was never finished.
+     * @returns {number}
+     */
+    static getStars(level, time) {
+        const medal = MB_CampaignProgression.getMedal(level, time);
+        return medal ? MB_MEDALS.length - MB_MEDALS.indexOf(medal) : 0;
+    }
+
+    /**
+     * Counts the stars collected on the levels of a campaign.
+     * @param {{chapters: Array<{levels: Array<Object>}>}} campaign - The campaign.
+     * @param {function(Object): ?number} getTime - Gives the best finish time on a level, or null if it was never finished.
+     * @returns {number}
+     */
+    static countStars(campaign, getTime) {
+        return campaign.chapters.flatMap(chapter => chapter.levels)
+            .reduce((stars, level) => stars + MB_CampaignProgression.getStars(level, getTime(level)), 0);
+    }
+
+    /**
+     * Tells why a level of a campaign is locked.
+     * @param {{chapters: Array<{levels: Array<Object>}>}} campaign - The campaign.
+     * @param {Object} level - The level.
+     * @param {function(Object): ?number} getTime - Gives the best finish time on a level, or null if it was never finished.
+     * @returns {?string} What unlocks the level, or null if it is unlocked.
+     */
+    static getLockReason(campaign, level, getTime) {
+        const levels = campaign.chapters.flatMap(chapter => chapter.levels);
+        const rule = level.unlock || MB_CampaignProgression.defaultUnlock;
+        if (rule.type === "previous") {
+            const previous = levels[levels.indexOf(level) - 1];
+            return !previous || getTime(previous) !== null ? null : `Finish ${previous.name} to unlock this level.`;
+        }
+        if (rule.type === "medal") {
+            const target = levels.find(other => other.id === rule.level);
+            if (!target) return null;
+            const medal = MB_CampaignProgression.getMedal(target, getTime(target));
+            return medal && MB_MEDALS.indexOf(medal) <= MB_MEDALS.indexOf(rule.medal) ? null : `Earn the ${rule.medal} medal on ${target.name} to unlock this level.`;
+        }
+        if (rule.type === "stars") {
+            const stars = MB_CampaignProgression.countStars(campaign, getTime);
+            return stars >= rule.count ? null : `Collect ${rule.count} stars to unlock this level (${stars} so far).`;
+        }
+        return null;
+    }
+
+    /**
+     * Checks the progression rules of a campaign make sense: the medal times are in order, and the unlock rules
+     * point to levels of the campaign and can be met.
+     * @param {{chapters: Array<{levels: Array<Object>}>}} campaign - The campaign.
+     * @returns {Array<{path: string, message: string}>} The problems found. Empty if the rules are valid.
+     */
+    static validate(campaign) {
+        const errors = [];
+        const levels = campaign.chapters.flatMap(chapter => chapter.levels);
+        const maxStars = levels.filter(level => level.medals).length * MB_MEDALS.length;
+        campaign.chapters.forEach((chapter, c) => chapter.levels.forEach((level, l) => {
+            const path = `$.chapters[${c}].levels[${l}]`;
+            if (level.medals) {
+                const times = MB_MEDALS.map(medal => level.medals[medal]);
+                if (!times.every(time => typeof time === "number" && time > 0)) {
+                    errors.push({path: `${path}.medals`, message: `${level.name} needs a target time for every medal`});
+                } else if (!(times[0] <= times[1] && times[1] <= times[2])) {
+                    errors.push({path: `${path}.medals`, message: `the gold time of ${level.name} must be the fastest, and the bronze time the slowest`});
+                }
+            }
+            const rule = level.unlock || MB_CampaignProgression.defaultUnlock;
+            if (rule.type === "medal") {
+                const target = levels.find(other => other.id === rule.level);
+                if (!target || target === level) errors.push({path: `${path}.unlock`, message: `${level.name} must be unlocked by a medal on another level of the campaign`});
+                else if (!target.medals) errors.push({path: `${path}.unlock`, message: `${target.name} has no medal times, so it can't unlock ${level.name}`});
+                else if (!MB_MEDALS.includes(rule.medal)) errors.push({path: `${path}.unlock`, message: `${rule.medal} is not a medal`});
+            } else if (rule.type === "stars") {
+                if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > maxStars) {
+                    errors.push({path: `${path}.unlock`, message: `${level.name} must need between 1 and ${maxStars} stars (the stars the campaign has)`});
+                }
+            } else if (rule.type !== "always" && rule.type !== "previous") {
+                errors.push({path: `${path}.unlock`, message: `${rule.type} is not an unlock rule`});
+            }
+        }));
+        return errors;
+    }
+}
+
+export class MB_CampaignError extends Error {
+    /**
+     * Initializes a new instance of the MB_CampaignError class.
+     * @param {'offline' | 'not-found' | 'rejected'} code - What went wrong: the repository couldn't be reached,
+     * the campaign doesn't exist (anymore), or the repository refused the request.
+     * @param {string} message - A description of what went wrong.
+     * @returns {MB_CampaignError}
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = "MB_CampaignError";
+        this.code = code;
+    }
+}
+
+export class MB_CampaignRepository {
+    /**
+     * Initializes a new instance of the MB_CampaignRepository class.
+     * This is the interface campaign repositories implement. They reject with an `MB_CampaignError` when they fail.
+     * @returns {MB_CampaignRepository}
+     */
+    constructor() {}
+
+    /**
+     * Lists a page of the campaigns, by name, without their chapters.
+     * @param {Object} [options] - What to list.
+     * @param {string} [options.search=""] - Only lists the campaigns whose name (or description, if the repository can) contains it.
+     * @param {number} [options.page=0] - The page, counted from 0.
+     * @param {number} [options.pageSize=12] - The number of campaigns per page.
+     * @returns {Promise<{campaigns: Array<Object>, total: number}>} The campaigns of the page, and the number of campaigns found.
+     */
+    listCampaigns(options) {
+        throw new Error("MB_CampaignRepository: listCampaigns() is not implemented.");
+    }
+
+    /**
+     * Fetches a campaign with its chapters and their levels.
+     * @param {string} id - The ID of the campaign.
+     * @returns {Promise<Object>} The campaign.
+     */
+    getCampaign(id) {
+        throw new Error("MB_CampaignRepository: getCampaign() is not implemented.");
+    }
+
+    /**
+     * Creates a campaign, or replaces it with its new version: its chapters and levels, in their new order,
+     * take the place of the old ones. Only its owner may do so.
+     * @param {Object} campaign - The campaign, with its chapters and their levels.
+     * @returns {Promise<void>}
+     */
+    saveCampaign(campaign) {
+        throw new Error("MB_CampaignRepository: saveCampaign() is not implemented.");
+    }
+}
+
+export class MB_LocalCampaignRepository extends MB_CampaignRepository {
+    /**
+     * Initializes a new instance of the MB_LocalCampaignRepository class.
+     * Reads campaigns from a document listing them with their chapters and levels, like campaigns-local.json.
+     * Campaigns are copied in and out, so they can't be changed through what it takes and returns.
+     * Saved campaigns are only kept in memory, so this can stand in for a server in tests.
+     * @param {{campaigns: Array<Object>}} document - The campaigns.
+     * @returns {MB_LocalCampaignRepository}
+     */
+    constructor(document) {
+        super();
+        this.campaigns = document.campaigns || [];
+    }
+
+    listCampaigns(options = {}) {
+        const search = (options.search || "").trim().toLowerCase();
+        const page = options.page || 0;
+        const pageSize = options.pageSize || 12;
+        const found = this.campaigns
+            .filter(campaign => !search || campaign.name.toLowerCase().includes(search) || (campaign.description || "").toLowerCase().includes(search))
+            .sort((a, b) => a.name.localeCompare(b.name));
+        return Promise.resolve({
+            campaigns: found.slice(page * pageSize, (page + 1) * pageSize).map(({chapters, ...campaign}) => structuredClone(campaign)),
+            total: found.length,
+        });
+    }
+
+    getCampaign(id) {
+        const campaign = this.campaigns.find(campaign => campaign.id === id);
+        if (!campaign) return Promise.reject(new MB_CampaignError("not-found", "This campaign doesn't exist."));
+        return Promise.resolve(structuredClone(campaign));
+    }
+
+    saveCampaign(campaign) {
+        const index = this.campaigns.findIndex(other => other.id === campaign.id);
+        if (index >= 0 && this.campaigns[index].owner?.id !== campaign.owner?.id) {
+            return Promise.reject(new MB_CampaignError("rejected", "Only the owner of a campaign can change it."));
+        }
+        if (index >= 0) this.campaigns[index] = structuredClone(campaign);
+        else this.campaigns.push(structuredClone(campaign));
+        return Promise.resolve();
+    }
+}
+
+export class MB_SupabaseCampaignRepository extends MB_CampaignRepository {
+    /**
+     * Initializes a new instance of the MB_SupabaseCampaignRepository class.
+     * Reads campaigns from a Supabase project, which has:
+     * - a `campaigns` table: `id`, `name`, `description`, `thumbnail_url` and `owner_id` (a `users.id`, or null);
+     * - a `chapters` table: `id`, `campaign_id`, `position`, `name`, `description` and `thumbnail_url`;
+     * - a `levels` table: `id`, `chapter_id`, `position`, `name`, `description`, `thumbnail_url`, `type`, `data`,
+     *   `medals` and `unlock`.
+     * Players may only write to the campaigns they own, and the chapters and levels of those.
+     * @param {Object} supabase - The Supabase client (see `MB_AccountManager`).
+     * @returns {MB_SupabaseCampaignRepository}
+     */
+    constructor(supabase) {
+        super();
+        this.supabase = supabase;
+    }
+
+    async listCampaigns(options = {}) {
+        const page = options.page || 0;
+        const pageSize = options.pageSize || 12;
+        let query = this.supabase.from("campaigns")
+            .select("id, name, description, thumbnail_url, owner_id, users(display_name, photo_url)", {count: "exact"});
+        const search = (options.search || "").trim();
+        // % and _ are wildcards to ilike
+        if (search) query = query.ilike("name", `%${search.replace(/[\\%_]/g, character => `\\${character}`)}%`);
+        const res = await query.order("name", {ascending: true}).range(page * pageSize, (page + 1) * pageSize - 1);
+        if (res.error) throw this.$toError(res.error);
+        return {campaigns: res.data.map(row => this.$toCampaign(row)), total: res.count ?? res.data.length};
+    }
+
+    async getCampaign(id) {
+        const res = await this.supabase.from("campaigns")
+            .select("id, name, description, thumbnail_url, owner_id, users(display_name, photo_url), chapters(id, position, name, description, thumbnail_url, levels(id, position, name, description, thumbnail_url, type, data, medals, unlock))")
+            .eq("id", id)
+            .single();
+        if (res.error) throw this.$toError(res.error);
+        const byPosition = (a, b) => a.position - b.position;
+        return {
+            ...this.$toCampaign(res.data),
+            chapters: (res.data.chapters || []).sort(byPosition).map(chapter => ({
+                id: chapter.id,
+                name: chapter.name,
+                description: chapter.description || "",
+                thumbnail_url: chapter.thumbnail_url || "",
+                levels: (chapter.levels || []).sort(byPosition).map(({position, ...level}) => ({
+                    ...level,
+                    description: level.description || "",
+                    thumbnail_url: level.thumbnail_url || "",
+                    medals: level.medals || null,
+                    unlock: level.unlock || null,
+                })),
+            })),
+        };
+    }
+
+    async saveCampaign(campaign) {
+        const check = res => {
+            if (res.error) throw this.$toError(res.error);
+            return res.data;
+        };
+        check(await this.supabase.from("campaigns").upsert({
+            id: campaign.id,
+            name: campaign.name,
+            description: campaign.description,
+            thumbnail_url: campaign.thumbnail_url,
+            owner_id: campaign.owner?.id ?? null,
+        }));
+        const oldChapterIds = check(await this.supabase.from("chapters").select("id").eq("campaign_id", campaign.id)).map(row => row.id);
+        const chapterIds = campaign.chapters.map(chapter => chapter.id);
+        const levelIds = campaign.chapters.flatMap(chapter => chapter.levels.map(level => level.id));
+        if (campaign.chapters.length) {
+            check(await this.supabase.from("chapters").upsert(campaign.chapters.map((chapter, position) => ({
+                id: chapter.id,
+                campaign_id: campaign.id,
+                position: position,
+                name: chapter.name,
+                description: chapter.description,
+                thumbnail_url: chapter.thumbnail_url,
+            }))));
+        }
+        if (levelIds.length) {
+            check(await this.supabase.from("levels").upsert(campaign.chapters.flatMap(chapter => chapter.levels.map((level, position) => ({
+                id: level.id,
+                chapter_id: chapter.id,
+                position: position,
+                name: level.name,
+                description: level.description,
+                thumbnail_url: level.thumbnail_url,
+                type: level.type,
+                data: level.data,
+                medals: level.medals || null,
+                unlock: level.unlock || null,
+            })))));
+        }
+        // What was taken out goes last, so levels moved to another chapter aren't deleted with their old one
+        const allChapterIds = [...new Set([...oldChapterIds, ...chapterIds])];
+        if (allChapterIds.length) {
+            let query = this.supabase.from("levels").delete().in("chapter_id", allChapterIds);
+            if (levelIds.length) query = query.not("id", "in", `(${levelIds.join(",")})`);
+            check(await query);
+        }
+        const removedChapterIds = oldChapterIds.filter(id => !chapterIds.includes(id));
+        if (removedChapterIds.length) check(await this.supabase.from("chapters").delete().in("id", removedChapterIds));
+    }
+
+    /** @private */
+    $toCampaign(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description || "",
+            thumbnail_url: row.thumbnail_url || "",
+            owner: row.owner_id ? {id: row.owner_id, display_name: row.users?.display_name || "", photo_url: row.users?.photo_url || ""} : null,
+        };
+    }
+
+    /**
+     * Supabase reports `single()` finding nothing as PGRST116.
+     * @private
+     */
+    $toError(error) {
+        if (error.code === "PGRST116") return new MB_CampaignError("not-found", "This campaign doesn't exist.");
+        return MB_SupabaseUtility.toError(error, MB_CampaignError, "The campaigns can't be reached.");
+    }
+}
+
+export class MB_FallbackCampaignRepository extends MB_CampaignRepository {
+    /**
+     * Initializes a new instance of the MB_FallbackCampaignRepository class.
+     * Reads campaigns from a repository, or from another while the first can't be reached.
+     * @param {MB_CampaignRepository} primary - The repository read from when it can be reached (e.g. Supabase).
+     * @param {MB_CampaignRepository} fallback - The repository read from otherwise (e.g. the bundled campaigns).
+     * @returns {MB_FallbackCampaignRepository}
+     */
+    constructor(primary, fallback) {
+        super();
+        this.primary = primary;
+        this.fallback = fallback;
+        /** Whether the last request fell back, because the primary repository couldn't be reached. */
+        this.offline = false;
+    }
+
+    listCampaigns(options) {
+        return this.$request(repository => repository.listCampaigns(options));
+    }
+
+    getCampaign(id) {
+        return this.$request(repository => repository.getCampaign(id));
+    }
+
+    /** Campaigns are only saved to the primary repository, as the fallback is only there to read from while offline. */
+    saveCampaign(campaign) {
+        return this.primary.saveCampaign(campaign);
+    }
+
+    /** @private */
+    async $request(request) {
+        try {
+            const result = await request(this.primary);
+            this.offline = false;
+            return result;
+        } catch (error) {
+            if (error.code !== "offline") throw error;
+            this.offline = true;
+            return request(this.fallback);
+        }
+    }
+}
@@ -0,0 +1,317 @@
+/*
+ * Leaderboards: the finish times of the players on each level.
+ *
+ * The leaderboards are read and written through an `MB_LeaderboardStore`: `MB_SupabaseLeaderboardStore` for the
+ * game's Supabase project, or `MB_MemoryLeaderboardStore` to stand in for it (e.g. in tests). Runs are submitted
+ * through an `MB_LeaderboardQueue`, which keeps them until the store takes them, so runs finished offline are
+ * submitted once the game is back online.
+ *
+ * A leaderboard entry is a run:
+ * - `levelId`, `levelHash`: the level (see `MB_Level`) and the version of it (see `MB_LevelHash`) the run was on.
+ *   Runs on other versions of a level aren't on its leaderboards, as they aren't comparable.
+ * - `userId`: the player, and `player`, `avatar`: their name and avatar URL (filled in by the store).
+ * - `time`: the finish time, in seconds.
+ * - `replayId`: the ID of the run's replay in the local database of the device it was played on, if it was kept.
+ * - `submittedAt`: when the run was finished, as an ISO date.
+ */
+
+import { MB_SupabaseUtility } from './mb-supabase.js';
+
+export class MB_LeaderboardError extends Error {
+    /**
+     * Initializes a new instance of the MB_LeaderboardError class.
+     * @param {'offline' | 'rejected'} code - What went wrong: the store couldn't be reached (try again later),
+     * or it refused the request (trying again won't help).
+     * @param {string} message - A description of what went wrong.
+     * @returns {MB_LeaderboardError}
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = "MB_LeaderboardError";
+        this.code = code;
+    }
+}
+
+export class MB_LeaderboardStore {
+    /**
+     * Initializes a new instance of the MB_LeaderboardStore class.
+     * This is the interface leaderboard stores implement. They reject with an `MB_LeaderboardError` when they fail.
+     * @returns {MB_LeaderboardStore}
+     */
+    constructor() {}
+
+    /**
+     * Gives the ID of the signed-in player. It must be known offline too.
+     * @returns {Promise<?string>} The ID, or null if no one is signed in.
+     */
+    getUserId() {
+        throw new Error("MB_LeaderboardStore: getUserId() is not implemented.");
+    }
+
+    /**
+     * Lists the entries of a leaderboard of a level, fastest first.
+     * @param {string} levelId - The ID of the level.
+     * @param {string} levelHash - The hash of the version of the level.
+     * @param {'global' | 'friends' | 'personal'} scope - The leaderboard: the best run of every player, the best run of the
+     * signed-in player and of their friends, or all the runs of the signed-in player.
+     * @param {number} limit - The number of entries to list at most.
+     * @returns {Promise<Array<Object>>} The entries.
+     */
+    getEntries(levelId, levelHash, scope, limit) {
+        throw new Error("MB_LeaderboardStore: getEntries() is not implemented.");
+    }
+
+    /**
+     * Submits a run of the signed-in player.
+     * @param {Object} entry - The run. Its `player` and `avatar` are ignored.
+     * @returns {Promise<void>}
+     */
+    submit(entry) {
+        throw new Error("MB_LeaderboardStore: submit() is not implemented.");
+    }
+}
+
+/**
+ * Keeps the best run of every player, in the order they come.
+ * @private
+ */
+function bestPerPlayer(entries) {
+    const bests = new Map();
+    for (const entry of entries) {
+        if (!bests.has(entry.userId) || entry.time < bests.get(entry.userId).time) bests.set(entry.userId, entry);
+    }
+    return [...bests.values()];
+}
+
+export class MB_MemoryLeaderboardStore extends MB_LeaderboardStore {
+    /**
+     * Initializes a new instance of the MB_MemoryLeaderboardStore class.
+     * Stands in for a leaderboard server inside a single page or process, e.g. for tests.
+     * Entries are copied in and out, as they would be over a network.
+     * @param {Object} [options] - Configuration options for the store.
+     * @param {?string} [options.userId=null] - The ID of the signed-in player.
+     * @param {Object<string, {name: string, avatar: string}>} [options.players] - The profiles of the players by ID.
+     * @param {Object<string, Array<string>>} [options.friends] - The IDs of the friends of the players by ID.
+     * @returns {MB_MemoryLeaderboardStore}
+     */
+    constructor(options = {}) {
+        super();
+        this.userId = options.userId ?? null;
+        this.players = options.players || {};
+        this.friends = options.friends || {};
+        /** Whether the store can be reached. While it can't, requests reject with an `offline` error. */
+        this.online = true;
+        /** The runs submitted, in the order they were. */
+        this.entries = [];
+    }
+
+    getUserId() {
+        return Promise.resolve(this.userId);
+    }
+
+    getEntries(levelId, levelHash, scope, limit) {
+        if (!this.online) return Promise.reject(new MB_LeaderboardError("offline", "The leaderboards can't be reached."));
+        if (scope !== "global" && !this.userId) return Promise.reject(new MB_LeaderboardError("rejected", "Sign in to see this leaderboard."));
+        let entries = this.entries.filter(entry => entry.levelId === levelId && entry.levelHash === levelHash);
+        if (scope === "personal") {
+            entries = entries.filter(entry => entry.userId === this.userId);
+        } else {
+            if (scope === "friends") {
+                const friends = new Set([this.userId, ...(this.friends[this.userId] || [])]);
+                entries = entries.filter(entry => friends.has(entry.userId));
+            }
+            entries = bestPerPlayer(entries);
+        }
+        entries = entries.sort((a, b) => a.time - b.time).slice(0, limit).map(entry => ({
+            ...entry,
+            player: this.players[entry.userId]?.name || "",
+            avatar: this.players[entry.userId]?.avatar || "",
+        }));
+        return Promise.resolve(entries);
+    }
+
+    submit(entry) {
+        if (!this.online) return Promise.reject(new MB_LeaderboardError("offline", "The leaderboards can't be reached."));
+        if (!this.userId || entry.userId !== this.userId) return Promise.reject(new MB_LeaderboardError("rejected", "Runs can only be submitted by the player who finished them."));
+        if (!(entry.time > 0)) return Promise.reject(new MB_LeaderboardError("rejected", "The finish time is invalid."));
+        const {player, avatar, ...run} = entry;
+        this.entries.push(run);
+        return Promise.resolve();
+    }
+}
+
+export class MB_SupabaseLeaderboardStore extends MB_LeaderboardStore {
+    /**
+     * Initializes a new instance of the MB_SupabaseLeaderboardStore class.
+     * Keeps the leaderboards in a Supabase project, which has:
+     * - a `leaderboard_runs` table with the runs: `level_id`, `level_hash`, `user_id` (a `users.id`), `time`, `replay_id`
+     *   and `submitted_at`, which players may only insert their own runs into;
+     * - a `leaderboard_bests` view with the same columns, keeping the best run of every player on every version of a level;
+     * - a `friendships` table with a row for every friend of a player: `user_id` and `friend_id`.
+     * @param {Object} supabase - The Supabase client (see `MB_AccountManager`).
+     * @returns {MB_SupabaseLeaderboardStore}
+     */
+    constructor(supabase) {
+        super();
+        this.supabase = supabase;
+    }
+
+    async getUserId() {
+        return MB_SupabaseUtility.getUserId(this.supabase);
+    }
+
+    async getEntries(levelId, levelHash, scope, limit) {
+        const userId = await this.getUserId();
+        if (scope !== "global" && !userId) throw new MB_LeaderboardError("rejected", "Sign in to see this leaderboard.");
+        let query = this.supabase.from(scope === "personal" ? "leaderboard_runs" : "leaderboard_bests")
+            .select("level_id, level_hash, user_id, time, replay_id, submitted_at, users(display_name, photo_url)")
+            .eq("level_id", levelId)
+            .eq("level_hash", levelHash);
+        if (scope === "personal") {
+            query = query.eq("user_id", userId);
+        } else if (scope === "friends") {
+            const friends = await this.supabase.from("friendships").select("friend_id").eq("user_id", userId);
+            if (friends.error) throw this.$toError(friends.error);
+            query = query.in("user_id", [userId, ...friends.data.map(row => row.friend_id)]);
+        }
+        const res = await query.order("time", {ascending: true}).limit(limit);
+        if (res.error) throw this.$toError(res.error);
+        return res.data.map(row => ({
+            levelId: row.level_id,
+            levelHash: row.level_hash,
+            userId: row.user_id,
+            player: row.users?.display_name || "",
+            avatar: row.users?.photo_url || "",
+            time: row.time,
+            replayId: row.replay_id,
+            submittedAt: row.submitted_at,
+        }));
+    }
+
+    async submit(entry) {
+        const res = await this.supabase.from("leaderboard_runs").insert({
+            level_id: entry.levelId,
+            level_hash: entry.levelHash,
+            user_id: entry.userId,
+            time: entry.time,
+            replay_id: entry.replayId,
+            submitted_at: entry.submittedAt,
+        });
+        if (res.error) throw this.$toError(res.error);
+    }
+
+    /** @private */
+    $toError(error) {
+        return MB_SupabaseUtility.toError(error, MB_LeaderboardError, "The leaderboards can't be reached.");
+    }
+}
+
+export class MB_LeaderboardQueue {
+    /**
+     * Initializes a new instance of the MB_LeaderboardQueue class.
+     * Submits runs to a leaderboard store, keeping the ones it can't take yet (e.g. while offline) in storage until
+     * `flush` manages to. Runs are only submitted while the player who finished them is signed in.
+     * @param {Object} options - Configuration options for the queue.
+     * @param {MB_LeaderboardStore} options.store - The store to submit the runs to.
+     * @param {?Storage} [options.storage] - Where the runs waiting to be submitted are kept (e.g. `localStorage`).
+     * Without it, they are forgotten when the page is closed.
+     * @param {string} [options.key="MB_LeaderboardQueue"] - The key the runs are kept under in the storage.
+     * @param {function()} [options.onChange] - Called when runs were submitted or left the queue.
+     * @returns {MB_LeaderboardQueue}
+     */
+    constructor(options) {
+        this.store = options.store;
+        this.storage = options.storage || null;
+        this.key = options.key || "MB_LeaderboardQueue";
+        this.onChange = options.onChange || (() => {});
+        /**
+         * The runs waiting to be submitted, oldest first.
+         * @type {Array<Object>}
+         */
+        this.pending = [];
+        try {
+            const saved = this.storage ? JSON.parse(this.storage.getItem(this.key)) : null;
+            if (Array.isArray(saved)) this.pending = saved;
+        } catch (error) {
+            console.warn("MB_LeaderboardQueue: The runs waiting to be submitted could not be read.", error);
+        }
+        /** @private */
+        this.$flushing = null;
+        /**
+         * The runs the store refused.
+         * @private
+         */
+        this.$rejected = new WeakSet();
+    }
+
+    /**
+     * Queues a run, and tries to submit it with the others waiting.
+     * @param {Object} entry - The run (see the top of mb-leaderboard.js).
+     * @returns {Promise<'submitted' | 'queued' | 'rejected'>} What became of the run.
+     */
+    async submit(entry) {
+        this.pending.push(entry);
+        this.$save();
+        // A flush already under way may have stopped looking at the queue before the run joined it, so the run waits
+        // for it to settle and is tried by the next one
+        if (this.$flushing) await this.$flushing;
+        if (this.pending.includes(entry)) await this.flush();
+        if (this.pending.includes(entry)) return "queued";
+        return this.$rejected.has(entry) ? "rejected" : "submitted";
+    }
+
+    /**
+     * Tries to submit the runs waiting, oldest first. It stops at the first one the store can't be reached for,
+     * and forgets those it rejects. Runs of other players than the signed-in one are left waiting.
+     * @returns {Promise<number>} The number of runs submitted.
+     */
+    flush() {
+        // Submitting a run twice at once would put it on the leaderboards twice
+        if (!this.$flushing) this.$flushing = this.$flush().finally(() => this.$flushing = null);
+        return this.$flushing;
+    }
+
+    /** @private */
+    async $flush() {
+        let submitted = 0;
+        let changed = false;
+        let userId = null;
+        try {
+            userId = await this.store.getUserId();
+        } catch (error) {
+            return 0;
+        }
+        // Runs queued in the meantime are submitted too
+        let i = 0;
+        while (i < this.pending.length) {
+            const entry = this.pending[i];
+            if (!userId || entry.userId !== userId) {
+                i++;
+                continue;
+            }
+            try {
+                await this.store.submit(entry);
+                submitted++;
+            } catch (error) {
+                if (error.code !== "rejected") break;
+                this.$rejected.add(entry);
+                console.warn("MB_LeaderboardQueue: A run was rejected.", error);
+            }
+            this.pending.splice(i, 1);
+            this.$save();
+            changed = true;
+        }
+        if (changed) this.onChange();
+        return submitted;
+    }
+
+    /** @private */
+    $save() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.pending));
+        } catch (error) {
+            console.warn("MB_LeaderboardQueue: The runs waiting to be submitted could not be saved.", error);
+        }
+    }
+}
@@ -0,0 +1,459 @@
+import mb_levelSchema from './mb-level-schema.json' with {type: "json"};
+import mb_materialSchema from './three-material-schema.json' with {type: "json"};
+
+/**
+ * The `.mbrace` format version written by this build of the game.
+ * Files with a higher version are rejected, since they may use features this build does not understand.
+ */
+export const MB_LEVEL_FORMAT_VERSION = 1;
+
+export class MB_LevelFormatError extends Error {
+    /**
+     * Initializes a new instance of the MB_LevelFormatError class.
+     * @param {string} message - A summary of what went wrong.
+     * @param {Array<{path: string, message: string}>} [errors] - The individual problems found, each qualified with the JSON path it applies to.
+     * @returns {MB_LevelFormatError}
+     */
+    constructor(message, errors = []) {
+        super(errors.length ? `${message}\n${errors.map(e => `  ${e.path}: ${e.message}`).join("\n")}` : message);
+        this.name = "MB_LevelFormatError";
+        this.errors = errors;
+    }
+}
+
+export class MB_SchemaValidator {
+    /**
+     * Initializes a new instance of the MB_SchemaValidator class.
+     * Only the subset of JSON Schema (draft-07) used by the game's own schemas is supported.
+     * Presentation keywords used by JSONEditor (`format`, `media`, `title`...) are ignored.
+     * @param {Array<Object>} [schemas] - Schemas to register, keyed by their `$id`.
+     * @returns {MB_SchemaValidator}
+     */
+    constructor(schemas = []) {
+        /** @private */
+        this.$schemas = new Map();
+        schemas.forEach(schema => this.addSchema(schema));
+    }
+
+    /**
+     * Registers a schema so it can be validated against, or referenced with `$ref`, by its `$id`.
+     * @param {Object} schema - The schema to register.
+     * @returns {void}
+     */
+    addSchema(schema) {
+        if (!schema.$id) throw new Error("MB_SchemaValidator: Schemas must have an $id.");
+        this.$schemas.set(schema.$id, schema);
+    }
+
+    /**
+     * Validates a value against a registered schema.
+     * @param {string} schemaId - The `$id` of the schema to validate against.
+     * @param {*} value - The value to validate.
+     * @param {string} [path="$"] - The path prefix used in error messages.
+     * @returns {Array<{path: string, message: string}>} The problems found. Empty if the value is valid.
+     */
+    validate(schemaId, value, path = "$") {
+        const schema = this.$schemas.get(schemaId);
+        if (!schema) throw new Error(`MB_SchemaValidator: Unknown schema "${schemaId}".`);
+        const errors = [];
+        this.$validate(schema, value, path, schema, errors);
+        return errors;
+    }
+
+    /** @private */
+    $resolveRef(ref, root) {
+        const [file, pointer] = ref.split("#");
+        const doc = file ? this.$schemas.get(file) : root;
+        if (!doc) throw new Error(`MB_SchemaValidator: Unknown schema "${file}" referenced.`);
+        let target = doc;
+        if (pointer) {
+            for (const part of pointer.split("/").filter(Boolean)) {
+                target = target[part];
+                if (target === undefined) throw new Error(`MB_SchemaValidator: Cannot resolve "${ref}".`);
+            }
+        }
+        return {schema: target, root: doc};
+    }
+
+    /** @private */
+    $typeOf(value) {
+        if (value === null) return "null";
+        if (Array.isArray(value)) return "array";
+        if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+        return typeof value;
+    }
+
+    /** @private */
+    $validate(schema, value, path, root, errors) {
+        if (schema.$ref) {
+            const resolved = this.$resolveRef(schema.$ref, root);
+            this.$validate(resolved.schema, value, path, resolved.root, errors);
+            return;
+        }
+
+        if (schema.type) {
+            const types = [].concat(schema.type);
+            const actual = this.$typeOf(value);
+            const matches = types.some(type =>
+                type === actual ||
+                (type === "number" && actual === "integer")
+            );
+            if (!matches || (typeof value === "number" && !Number.isFinite(value))) {
+                errors.push({path, message: `expected ${types.join(" or ")}, got ${actual}`});
+                return;
+            }
+        }
+
+        if ("const" in schema && value !== schema.const) {
+            errors.push({path, message: `must be ${JSON.stringify(schema.const)}`});
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`});
+        }
+
+        if (typeof value === "string") {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({path, message: `must be at least ${schema.minLength} character(s) long`});
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({path, message: `must be at most ${schema.maxLength} character(s) long`});
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({path, message: `must match the pattern ${schema.pattern}`});
+            }
+        }
+
+        if (typeof value === "number") {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({path, message: `must be >= ${schema.minimum}`});
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({path, message: `must be <= ${schema.maximum}`});
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                errors.push({path, message: `must be > ${schema.exclusiveMinimum}`});
+            }
+            if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+                errors.push({path, message: `must be < ${schema.exclusiveMaximum}`});
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({path, message: `must have at least ${schema.minItems} item(s)`});
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({path, message: `must have at most ${schema.maxItems} item(s)`});
+            }
+            if (Array.isArray(schema.items)) {
+                schema.items.forEach((itemSchema, i) => {
+                    if (i < value.length) this.$validate(itemSchema, value[i], `${path}[${i}]`, root, errors);
+                });
+            } else if (schema.items) {
+                value.forEach((item, i) => this.$validate(schema.items, item, `${path}[${i}]`, root, errors));
+            }
+        }
+
+        if (this.$typeOf(value) === "object") {
+            for (const key of schema.required || []) {
+                if (!(key in value)) errors.push({path, message: `missing required property "${key}"`});
+            }
+            const properties = schema.properties || {};
+            for (const [key, propValue] of Object.entries(value)) {
+                if (properties[key]) {
+                    this.$validate(properties[key], propValue, `${path}.${key}`, root, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({path: `${path}.${key}`, message: "is not an allowed property"});
+                } else if (typeof schema.additionalProperties === "object") {
+                    this.$validate(schema.additionalProperties, propValue, `${path}.${key}`, root, errors);
+                }
+            }
+            for (const [key, dependency] of Object.entries(schema.dependencies || {})) {
+                if (!(key in value)) continue;
+                if (Array.isArray(dependency)) {
+                    for (const required of dependency) {
+                        if (!(required in value)) errors.push({path, message: `"${key}" requires "${required}" to be set`});
+                    }
+                } else {
+                    this.$validate(dependency, value, path, root, errors);
+                }
+            }
+        }
+
+        for (const subSchema of schema.allOf || []) {
+            this.$validate(subSchema, value, path, root, errors);
+        }
+        if (schema.anyOf) {
+            const matched = schema.anyOf.some(subSchema => this.$matches(subSchema, value, root));
+            if (!matched) errors.push({path, message: "does not match any of the allowed shapes"});
+        }
+        if (schema.oneOf) {
+            const matched = schema.oneOf.filter(subSchema => this.$matches(subSchema, value, root)).length;
+            if (matched !== 1) errors.push({path, message: `must match exactly one of the allowed shapes (matched ${matched})`});
+        }
+        if (schema.not && this.$matches(schema.not, value, root)) {
+            errors.push({path, message: "matches a disallowed shape"});
+        }
+        if (schema.if) {
+            const branch = this.$matches(schema.if, value, root) ? schema.then : schema.else;
+            if (branch) this.$validate(branch, value, path, root, errors);
+        }
+    }
+
+    /** @private */
+    $matches(schema, value, root) {
+        const errors = [];
+        this.$validate(schema, value, "", root, errors);
+        return errors.length === 0;
+    }
+}
+
+export class MB_LevelFormat {
+    /**
+     * The gameplay settings used when a level leaves them unspecified.
+     * @type {{gravity: number, kill_plane_y: number, time_limit: ?number, seed: number, marble: {radius: number, mass: number}}}
+     */
+    static defaultGameplay = {
+        gravity: 9.81,
+        kill_plane_y: -50,
+        time_limit: null,
+        seed: 0,
+        marble: {
+            radius: .5,
+            mass: 1,
+        },
+    };
+
+    /** @private */
+    static $validator = new MB_SchemaValidator([mb_materialSchema, mb_levelSchema]);
+
+    /**
+     * Creates a new, valid, empty level document.
+     * @param {Object} [options] - Configuration options for the level.
+     * @param {string} [options.name="Untitled level"] - The name of the level.
+     * @param {'race' | 'sandbox'} [options.type="race"] - The type of the level.
+     * @param {string} [options.description=""] - The description of the level.
+     * @returns {Object} The level document.
+     */
+    static createEmpty(options = {}) {
+        const level = {
+            format: "mbrace",
+            version: MB_LEVEL_FORMAT_VERSION,
+            name: options.name || "Untitled level",
+            type: options.type || "race",
+            description: options.description || "",
+            gameplay: structuredClone(MB_LevelFormat.defaultGameplay),
+            objects: [
+                {
+                    id: "sun",
+                    name: "Sun",
+                    kind: "light",
+                    transform: {position: [-3, 13, 9]},
+                    light: {type: "directional", color: "#ffffff", intensity: 1},
+                },
+                {
+                    id: "ambient",
+                    name: "Ambient light",
+                    kind: "light",
+                    light: {type: "ambient", color: "#ffffff", intensity: .4},
+                },
+            ],
+        };
+        level.objects.push({
+            id: "floor",
+            name: "Floor",
+            kind: "mesh",
+            transform: {position: [0, -.5, -10]},
+            geometry: {type: "box", width: 10, height: 1, depth: 30},
+            material: {type: "MeshStandardMaterial", color: "#ffffff"},
+            receiveShadow: true,
+        });
+        if (level.type === "race") {
+            level.objects.push({
+                id: "spawn",
+                name: "Spawn",
+                kind: "marker",
+                transform: {position: [0, 1, 0]},
+                gameplay: {role: "spawn"},
+            }, {
+                id: "finish",
+                name: "Finish",
+                kind: "marker",
+                transform: {position: [0, 1.5, -22]},
+                gameplay: {role: "finish", trigger: {shape: "box", size: [10, 3, 1]}},
+            });
+        }
+        return level;
+    }
+
+    /**
+     * Validates a level document, both against `mb-level-schema.json` and against the rules
+     * a schema cannot express (unique IDs, a race needing a spawn and a finish, etc.).
+     * @param {*} data - The parsed level document.
+     * @returns {Array<{path: string, message: string}>} The problems found. Empty if the level is valid.
+     */
+    static validate(data) {
+        if (data && typeof data === "object" && typeof data.version === "number" && data.version > MB_LEVEL_FORMAT_VERSION) {
+            return [{
+                path: "$.version",
+                message: `version ${data.version} was written by a newer version of Marble Race (this one reads up to version ${MB_LEVEL_FORMAT_VERSION})`,
+            }];
+        }
+        const errors = MB_LevelFormat.$validator.validate(mb_levelSchema.$id, data);
+        if (errors.length) return errors;
+
+        const ids = new Map();
+        const checkpointOrders = new Map();
+        let spawnCount = 0;
+        let finishCount = 0;
+        MB_LevelFormat.walkObjects(data.objects, (object, path) => {
+            if (ids.has(object.id)) {
+                errors.push({path: `${path}.id`, message: `duplicate id "${object.id}" (first used at ${ids.get(object.id)})`});
+            } else {
+                ids.set(object.id, `${path}.id`);
+            }
+            if (object.geometry?.type === "custom") {
+                const geometry = object.geometry;
+                const vertexCount = geometry.vertices.length / 3;
+                if (!Number.isInteger(vertexCount)) {
+                    errors.push({path: `${path}.geometry.vertices`, message: "length must be a multiple of 3"});
+                }
+                if (geometry.indices) {
+                    if (geometry.indices.length % 3 !== 0) {
+                        errors.push({path: `${path}.geometry.indices`, message: "length must be a multiple of 3"});
+                    }
+                    const outOfRange = geometry.indices.findIndex(index => index >= vertexCount);
+                    if (outOfRange > -1) {
+                        errors.push({path: `${path}.geometry.indices[${outOfRange}]`, message: `refers to vertex ${geometry.indices[outOfRange]}, but there are only ${Math.floor(vertexCount)}`});
+                    }
+                }
+                if (geometry.normals && geometry.normals.length !== geometry.vertices.length) {
+                    errors.push({path: `${path}.geometry.normals`, message: "must have one normal per vertex"});
+                }
+                if (geometry.uvs && geometry.uvs.length !== vertexCount * 2) {
+                    errors.push({path: `${path}.geometry.uvs`, message: "must have one UV pair per vertex"});
+                }
+            }
+            if (object.kind !== "mesh" && (object.geometry || object.material)) {
+                errors.push({path, message: `only "mesh" objects can have a geometry or material (this one is a "${object.kind}")`});
+            }
+            switch (object.gameplay?.role) {
+                case "spawn":
+                    spawnCount++;
+                    break;
+                case "finish":
+                    finishCount++;
+                    break;
+                case "checkpoint":
+                    if (checkpointOrders.has(object.gameplay.order)) {
+                        errors.push({path: `${path}.gameplay.order`, message: `checkpoint order ${object.gameplay.order} is already used at ${checkpointOrders.get(object.gameplay.order)}`});
+                    } else {
+                        checkpointOrders.set(object.gameplay.order, `${path}.gameplay.order`);
+                    }
+                    break;
+            }
+        });
+        if (data.type === "race") {
+            if (!spawnCount) errors.push({path: "$.objects", message: "a race level needs at least one spawn point"});
+            if (!finishCount) errors.push({path: "$.objects", message: "a race level needs at least one finish zone"});
+        }
+        const fog = data.environment?.fog;
+        if (fog && fog.near >= fog.far) {
+            errors.push({path: "$.environment.fog", message: "near must be less than far"});
+        }
+        return errors;
+    }
+
+    /**
+     * Parses and validates the text of a `.mbrace` file.
+     * @param {string} text - The file contents.
+     * @param {string} [source="level"] - A name for the file, used in error messages.
+     * @returns {Object} The level document.
+     * @throws {MB_LevelFormatError} If the text is not JSON, or is not a valid level.
+     */
+    static parse(text, source = "level") {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new MB_LevelFormatError(`"${source}" is not a valid .mbrace file: ${error.message}`);
+        }
+        const errors = MB_LevelFormat.validate(data);
+        if (errors.length) {
+            throw new MB_LevelFormatError(`"${source}" is not a valid .mbrace file (${errors.length} problem(s) found):`, errors);
+        }
+        return data;
+    }
+
+    /**
+     * Fetches, parses and validates a `.mbrace` file.
+     * @param {string} url - The URL of the file.
+     * @returns {Promise<Object>} A promise that resolves with the level document.
+     */
+    static async load(url) {
+        const res = await fetch(url);
+        if (!res.ok) throw new MB_LevelFormatError(`Failed to load level "${url}": ${res.status} ${res.statusText}`);
+        return MB_LevelFormat.parse(await res.text(), url);
+    }
+
+    /**
+     * Serializes a level document to the text of a `.mbrace` file.
+     * @param {Object} data - The level document.
+     * @returns {string} The file contents.
+     * @throws {MB_LevelFormatError} If the level is not valid.
+     */
+    static serialize(data) {
+        const errors = MB_LevelFormat.validate(data);
+        if (errors.length) {
+            throw new MB_LevelFormatError(`Level "${data?.name}" cannot be saved (${errors.length} problem(s) found):`, errors);
+        }
+        return JSON.stringify(data, null, 4);
+    }
+
+    /**
+     * Returns the level's gameplay settings, with defaults filled in for anything unspecified.
+     * @param {Object} data - The level document.
+     * @returns {{gravity: number, kill_plane_y: number, time_limit: ?number, seed: number, marble: {radius: number, mass: number}}}
+     */
+    static getGameplay(data) {
+        const defaults = MB_LevelFormat.defaultGameplay;
+        return {
+            ...defaults,
+            ...data.gameplay,
+            marble: {...defaults.marble, ...data.gameplay?.marble},
+        };
+    }
+
+    /**
+     * Calls `callback` for every object in the hierarchy, parents before children.
+     * @param {Array<Object>} objects - The objects to walk.
+     * @param {function(Object, string, ?Object)} callback - Called with the object, its JSON path and its parent object.
+     * @param {string} [path="$.objects"] - The JSON path of `objects`.
+     * @param {?Object} [parent=null] - The parent of `objects`.
+     * @returns {void}
+     */
+    static walkObjects(objects, callback, path = "$.objects", parent = null) {
+        (objects || []).forEach((object, i) => {
+            callback(object, `${path}[${i}]`, parent);
+            if (object.children) MB_LevelFormat.walkObjects(object.children, callback, `${path}[${i}].children`, object);
+        });
+    }
+
+    /**
+     * Collects the objects that have a gameplay role. Checkpoints are sorted by their order.
+     * @param {Object} data - The level document.
+     * @returns {{spawnPoints: Array<Object>, checkpoints: Array<Object>, finishZones: Array<Object>, hazards: Array<Object>, boosters: Array<Object>, collectibles: Array<Object>}}
+     */
+    static collectGameplayObjects(data) {
+        const result = {spawnPoints: [], checkpoints: [], finishZones: [], hazards: [], boosters: [], collectibles: []};
+        const lists = {
+            spawn: "spawnPoints", checkpoint: "checkpoints", finish: "finishZones", hazard: "hazards", booster: "boosters",
+            collectible: "collectibles",
+        };
+        MB_LevelFormat.walkObjects(data.objects, object => {
+            if (object.gameplay) result[lists[object.gameplay.role]].push(object);
+        });
+        result.checkpoints.sort((a, b) => a.gameplay.order - b.gameplay.order);
+        return result;
+    }
+}
@@ -0,0 +1,402 @@
+/*
+ * Building blocks for the level editor's "Add Object" palette: procedural track geometry,
+ * the connection points track pieces snap together by, and the primitives and gameplay prefabs.
+ *
+ * Geometry is returned as plain arrays, and prefabs as level objects (see `definitions/object` in
+ * mb-level-schema.json), for the editor to turn into THREE.js objects.
+ */
+
+/**
+ * Sweeps closed 2D profiles along a path, and returns the resulting solid as a non-indexed triangle list.
+ * Profile points are `[u, v]` pairs in a frame's right/up plane; the outside of the solid must be on the
+ * right of each loop (outer loops counterclockwise, holes clockwise). `caps` are triangles over the
+ * concatenated loop points, counterclockwise, closing both ends of the sweep.
+ * @private
+ */
+function sweep(loops, caps, frames) {
+    const positions = [];
+    const uvs = [];
+    const point = (frame, [u, v]) => [0, 1, 2].map(i => frame.origin[i] + frame.right[i] * u + frame.up[i] * v);
+    const pushTriangle = (a, b, c) => {
+        for (const [position, uv] of [a, b, c]) {
+            positions.push(...position);
+            uvs.push(...uv);
+        }
+    };
+    let distance = 0;
+    for (let k = 0; k + 1 < frames.length; k++) {
+        const [f0, f1] = [frames[k], frames[k + 1]];
+        const step = Math.hypot(...[0, 1, 2].map(i => f1.origin[i] - f0.origin[i]));
+        for (const loop of loops) {
+            let around = 0;
+            for (let i = 0; i < loop.length; i++) {
+                const [p, q] = [loop[i], loop[(i + 1) % loop.length]];
+                const edge = Math.hypot(q[0] - p[0], q[1] - p[1]);
+                const a = [point(f0, p), [around, distance]];
+                const b = [point(f0, q), [around + edge, distance]];
+                const c = [point(f1, q), [around + edge, distance + step]];
+                const d = [point(f1, p), [around, distance + step]];
+                pushTriangle(a, c, b);
+                pushTriangle(a, d, c);
+                around += edge;
+            }
+        }
+        distance += step;
+    }
+    const points = loops.flat();
+    const [first, last] = [frames[0], frames[frames.length - 1]];
+    for (const [i, j, k] of caps) {
+        const uv = index => [points[index][0], points[index][1]];
+        pushTriangle([point(first, points[i]), uv(i)], [point(first, points[j]), uv(j)], [point(first, points[k]), uv(k)]);
+        pushTriangle([point(last, points[i]), uv(i)], [point(last, points[k]), uv(k)], [point(last, points[j]), uv(j)]);
+    }
+    return {positions, uvs};
+}
+
+/**
+ * Returns the two frames of a straight sweep along the Z axis, from +Z to -Z.
+ * @private
+ */
+function straightFrames(length) {
+    return [length / 2, -length / 2].map(z => ({origin: [0, 0, z], right: [1, 0, 0], up: [0, 1, 0]}));
+}
+
+/**
+ * Returns the points of an arc of a circle centered on the origin, counterclockwise.
+ * @private
+ */
+function arc(radius, start, end, segments) {
+    return Array.from({length: segments + 1}, (_, i) => {
+        const angle = start + (end - start) * i / segments;
+        return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+    });
+}
+
+/**
+ * Returns the cap triangles between two point rows of equal length, as produced by a loop
+ * going out along `outer` and back along `inner`.
+ * @private
+ */
+function stripCaps(outer, inner) {
+    const caps = [];
+    for (let i = 0; i + 1 < outer.length; i++) {
+        caps.push([outer[i], outer[i + 1], inner[i + 1]], [outer[i], inner[i + 1], inner[i]]);
+    }
+    return caps;
+}
+
+export class MB_TrackPieces {
+    /**
+     * The geometry types built by this module rather than by THREE.js.
+     * @type {Array<string>}
+     */
+    static proceduralTypes = ["ramp", "curve", "half_pipe", "tube"];
+
+    /**
+     * Builds one of the procedural geometry types. Faces are flat, and UVs are in meters.
+     * - `ramp`: a wedge `width` × `height` × `depth`, centered, rising towards -Z.
+     * - `curve`: a flat track segment `width` wide and `height` thick, turning by `angle` radians
+     *   (positive turns left) around a centerline of `radius`. It starts at the origin, heading towards -Z.
+     * - `half_pipe`: the bottom half of a pipe of inner `radius` and wall `thickness`, `length` long along Z,
+     *   centered on its axis.
+     * - `tube`: a pipe of inner `radius` and wall `thickness`, `length` long along Z, centered on its axis.
+     * @param {Object} geometry - The geometry definition (see `definitions/geometry` in mb-level-schema.json).
+     * @returns {{positions: Array<number>, uvs: Array<number>}} Non-indexed triangles.
+     */
+    static buildGeometry(geometry) {
+        const segments = geometry.segments || 32;
+        switch (geometry.type) {
+            case "ramp": {
+                const {width, height, depth} = geometry;
+                // The profile is swept along +X, so its "right" is +Z
+                const frames = [-width / 2, width / 2].map(x => ({origin: [x, 0, 0], right: [0, 0, 1], up: [0, 1, 0]}));
+                return sweep([[[depth / 2, -height / 2], [-depth / 2, height / 2], [-depth / 2, -height / 2]]], [[0, 1, 2]], frames);
+            }
+            case "curve": {
+                const {radius, width, height, angle} = geometry;
+                const turn = Math.sign(angle) || 1;
+                const frames = Array.from({length: segments + 1}, (_, i) => {
+                    const theta = Math.abs(angle) * i / segments;
+                    const [sin, cos] = [Math.sin(theta), Math.cos(theta)];
+                    return {
+                        origin: [turn * radius * (cos - 1), 0, -radius * sin],
+                        right: [cos, 0, -turn * sin],
+                        up: [0, 1, 0],
+                    };
+                });
+                const [w, h] = [width / 2, height / 2];
+                return sweep([[[-w, -h], [w, -h], [w, h], [-w, h]]], [[0, 1, 2], [0, 2, 3]], frames);
+            }
+            case "half_pipe": {
+                const {radius, thickness, length} = geometry;
+                const outer = arc(radius + thickness, Math.PI, 2 * Math.PI, segments);
+                const inner = arc(radius, Math.PI, 2 * Math.PI, segments);
+                const n = outer.length;
+                const loop = [...outer, ...[...inner].reverse()];
+                const caps = stripCaps(
+                    Array.from({length: n}, (_, i) => i),
+                    Array.from({length: n}, (_, i) => 2 * n - 1 - i)
+                );
+                return sweep([loop], caps, straightFrames(length));
+            }
+            case "tube": {
+                const {radius, thickness, length} = geometry;
+                const outer = arc(radius + thickness, 0, 2 * Math.PI, segments).slice(0, -1);
+                const inner = arc(radius, 0, 2 * Math.PI, segments).slice(0, -1).reverse();
+                const n = outer.length;
+                // Point i of the outer loop faces point n - 1 - i of the (reversed) inner loop
+                const caps = stripCaps(
+                    [...Array.from({length: n}, (_, i) => i), 0],
+                    [...Array.from({length: n}, (_, i) => 2 * n - 1 - i), 2 * n - 1]
+                );
+                return sweep([outer, inner], caps, straightFrames(length));
+            }
+            default:
+                throw new Error(`MB_TrackPieces: "${geometry.type}" is not a procedural geometry type.`);
+        }
+    }
+
+    /**
+     * Returns the points where other track pieces can connect to a piece, in the piece's local space.
+     * Each point is on the riding surface, and its direction points out of the piece.
+     * Boxes count as straight track pieces when they are flatter than they are wide and long.
+     * @param {Object} geometry - The geometry definition.
+     * @returns {Array<{position: Array<number>, direction: Array<number>}>} The connection points (none if it isn't a track piece).
+     */
+    static getConnectionPoints(geometry) {
+        const ends = (y, length) => [
+            {position: [0, y, length / 2], direction: [0, 0, 1]},
+            {position: [0, y, -length / 2], direction: [0, 0, -1]},
+        ];
+        switch (geometry.type) {
+            case "box":
+                if (geometry.height > Math.min(geometry.width, geometry.depth)) return [];
+                return ends(geometry.height / 2, geometry.depth);
+            case "ramp":
+                return [
+                    {position: [0, -geometry.height / 2, geometry.depth / 2], direction: [0, 0, 1]},
+                    {position: [0, geometry.height / 2, -geometry.depth / 2], direction: [0, 0, -1]},
+                ];
+            case "curve": {
+                const {radius, height, angle} = geometry;
+                const turn = Math.sign(angle) || 1;
+                const theta = Math.abs(angle);
+                return [
+                    {position: [0, height / 2, 0], direction: [0, 0, 1]},
+                    {
+                        position: [turn * radius * (Math.cos(theta) - 1), height / 2, -radius * Math.sin(theta)],
+                        direction: [-turn * Math.sin(theta), 0, -Math.cos(theta)],
+                    },
+                ];
+            }
+            case "half_pipe":
+            case "tube":
+                return ends(-geometry.radius, geometry.length);
+            default:
+                return [];
+        }
+    }
+}
+
+/**
+ * Returns a MeshStandardMaterial definition.
+ * @private
+ */
+function material(color, extra = {}) {
+    return {type: "MeshStandardMaterial", color: color, roughness: .6, metalness: 0, ...extra};
+}
+
+export class MB_LevelPrefabs {
+    /**
+     * The objects offered by the editor's palette. `create` returns a new level object (or object tree),
+     * with its origin at the center of its bounds unless noted otherwise.
+     * The context passed to `create` provides `generateId(prefix)` for unique object IDs,
+     * and `nextCheckpointOrder` for checkpoints.
+     * @type {Array<{id: string, name: string, category: 'primitive' | 'prefab', create: function(Object): Object}>}
+     */
+    static catalog = [
+        {
+            id: "box", name: "Box", category: "primitive",
+            create: context => ({
+                id: context.generateId("box"), name: "Box", kind: "mesh",
+                geometry: {type: "box", width: 4, height: .5, depth: 8},
+                material: material("#9e9e9e"),
+                collider: {friction: .6, restitution: .3},
+            }),
+        },
+        {
+            id: "ramp", name: "Ramp", category: "primitive",
+            create: context => ({
+                id: context.generateId("ramp"), name: "Ramp", kind: "mesh",
+                geometry: {type: "ramp", width: 4, height: 2, depth: 8},
+                material: material("#9e9e9e"),
+                collider: {friction: .6, restitution: .3},
+            }),
+        },
+        {
+            id: "cylinder", name: "Cylinder", category: "primitive",
+            create: context => ({
+                id: context.generateId("cylinder"), name: "Cylinder", kind: "mesh",
+                geometry: {type: "cylinder", radiusTop: 1, radiusBottom: 1, height: 2, segments: 32},
+                material: material("#9e9e9e"),
+                collider: {friction: .6, restitution: .3},
+            }),
+        },
+        {
+            id: "curve", name: "Curved track", category: "primitive",
+            create: context => ({
+                id: context.generateId("curve"), name: "Curved track", kind: "mesh",
+                geometry: {type: "curve", radius: 8, width: 4, height: .5, angle: Math.PI / 2, segments: 16},
+                material: material("#9e9e9e"),
+                collider: {friction: .6, restitution: .3},
+            }),
+        },
+        {
+            id: "half_pipe", name: "Half-pipe", category: "primitive",
+            create: context => ({
+                id: context.generateId("half-pipe"), name: "Half-pipe", kind: "mesh",
+                geometry: {type: "half_pipe", radius: 3, thickness: .3, length: 8, segments: 24},
+                material: material("#9e9e9e", {side: "DoubleSide"}),
+                collider: {friction: .6, restitution: .2},
+            }),
+        },
+        {
+            id: "tube", name: "Tube", category: "primitive",
+            create: context => ({
+                id: context.generateId("tube"), name: "Tube", kind: "mesh",
+                geometry: {type: "tube", radius: 2, thickness: .3, length: 8, segments: 32},
+                material: material("#b0bec5", {transparent: true, opacity: .5}),
+                collider: {friction: .6, restitution: .2},
+            }),
+        },
+        {
+            id: "start_pad", name: "Start pad", category: "prefab",
+            create: context => ({
+                id: context.generateId("start-pad"), name: "Start pad", kind: "mesh",
+                geometry: {type: "box", width: 4, height: .3, depth: 4},
+                material: material("#2e7d32"),
+                collider: {friction: .6, restitution: .3},
+                children: [{
+                    id: context.generateId("spawn"), name: "Spawn", kind: "marker",
+                    transform: {position: [0, 1, 0]},
+                    gameplay: {role: "spawn"},
+                }],
+            }),
+        },
+        {
+            // The origin is at the bottom of the posts
+            id: "finish_gate", name: "Finish gate", category: "prefab",
+            create: context => ({
+                id: context.generateId("finish-gate"), name: "Finish gate", kind: "group",
+                children: [
+                    ...[-3.25, 3.25].map((x, i) => ({
+                        id: context.generateId("finish-post"), name: `Post ${i + 1}`, kind: "mesh",
+                        transform: {position: [x, 2, 0]},
+                        geometry: {type: "box", width: .5, height: 4, depth: .5},
+                        material: material("#ffffff"),
+                    })),
+                    {
+                        id: context.generateId("finish-banner"), name: "Banner", kind: "mesh",
+                        transform: {position: [0, 4.25, 0]},
+                        geometry: {type: "box", width: 7, height: .5, depth: .5},
+                        material: material("#0080ff", {emissive: "#002040"}),
+                    },
+                    {
+                        id: context.generateId("finish"), name: "Finish", kind: "marker",
+                        transform: {position: [0, 2, 0]},
+                        gameplay: {role: "finish", trigger: {shape: "box", size: [6, 4, 1]}},
+                    },
+                ],
+            }),
+        },
+        {
+            id: "checkpoint_ring", name: "Checkpoint ring", category: "prefab",
+            create: context => ({
+                id: context.generateId("checkpoint"), name: `Checkpoint ${context.nextCheckpointOrder + 1}`, kind: "mesh",
+                geometry: {type: "torus", radius: 2.5, tube: .25, segments: 48},
+                material: material("#ffd600", {emissive: "#403600"}),
+                collider: {friction: .6, restitution: .3},
+                gameplay: {role: "checkpoint", order: context.nextCheckpointOrder, trigger: {shape: "box", size: [4.5, 4.5, 1]}},
+            }),
+        },
+        {
+            // The spikes have no collider: the marble has to roll into them to hit the hazard volume
+            id: "spikes", name: "Spikes", category: "prefab",
+            create: context => ({
+                id: context.generateId("spikes"), name: "Spikes", kind: "group",
+                gameplay: {role: "hazard", hazard: "spikes", trigger: {shape: "box", size: [2, .6, 2]}},
+                children: [-.66, 0, .66].flatMap(x => [-.66, 0, .66].map(z => ({
+                    id: context.generateId("spike"), name: "Spike", kind: "mesh",
+                    transform: {position: [x, 0, z]},
+                    geometry: {type: "cone", radius: .25, height: .6, segments: 12},
+                    material: material("#757575", {metalness: .8, roughness: .3}),
+                    collider: {enabled: false},
+                }))),
+            }),
+        },
+        {
+            id: "moving_platform", name: "Moving platform", category: "prefab",
+            create: context => ({
+                id: context.generateId("platform"), name: "Moving platform", kind: "mesh",
+                geometry: {type: "box", width: 4, height: .5, depth: 4},
+                material: material("#ffb300"),
+                collider: {friction: .8, restitution: .1},
+                motion: {offset: [0, 0, -8], period: 4},
+            }),
+        },
+        {
+            id: "booster_pad", name: "Booster pad", category: "prefab",
+            create: context => ({
+                id: context.generateId("booster"), name: "Booster pad", kind: "mesh",
+                geometry: {type: "box", width: 3, height: .1, depth: 3},
+                material: material("#ff8000", {emissive: "#602000"}),
+                collider: {friction: .6, restitution: .3},
+                gameplay: {role: "booster", strength: 15, direction: [0, 0, -1], trigger: {shape: "box", size: [3, 2, 3]}},
+            }),
+        },
+        {
+            // Restitution above 1 makes the bumper kick the marble away faster than it came
+            id: "bumper", name: "Bumper", category: "prefab",
+            create: context => ({
+                id: context.generateId("bumper"), name: "Bumper", kind: "mesh",
+                geometry: {type: "cylinder", radiusTop: .75, radiusBottom: .75, height: 1, segments: 32},
+                material: material("#e53935", {emissive: "#400000"}),
+                collider: {friction: .2, restitution: 1.5},
+            }),
+        },
+        {
+            id: "jump_pad", name: "Jump pad", category: "prefab",
+            create: context => ({
+                id: context.generateId("jump-pad"), name: "Jump pad", kind: "mesh",
+                geometry: {type: "box", width: 3, height: .1, depth: 3},
+                material: material("#1e88e5", {emissive: "#002040"}),
+                collider: {friction: .6, restitution: .3},
+                gameplay: {role: "booster", strength: 10, direction: [0, 1, 0], trigger: {shape: "box", size: [3, 2, 3]}},
+            }),
+        },
+        {
+            // Like the spikes, gems have no collider: the marble rolls through them to pick them up
+            id: "gem", name: "Collectible gem", category: "prefab",
+            create: context => ({
+                id: context.generateId("gem"), name: "Gem", kind: "mesh",
+                transform: {position: [0, .75, 0]},
+                geometry: {type: "sphere", radius: .35, segments: 6},
+                material: material("#ab47bc", {emissive: "#4a148c", metalness: .3, roughness: .2}),
+                collider: {enabled: false},
+                gameplay: {role: "collectible", trigger: {shape: "sphere", radius: .9}},
+            }),
+        },
+    ];
+
+    /**
+     * Creates a new instance of a palette entry.
+     * @param {string} id - The palette entry's ID (see `catalog`).
+     * @param {{generateId: function(string): string, nextCheckpointOrder: number}} context - See `catalog`.
+     * @returns {Object} The level object.
+     */
+    static create(id, context) {
+        const entry = MB_LevelPrefabs.catalog.find(entry => entry.id === id);
+        if (!entry) throw new Error(`MB_LevelPrefabs: Unknown palette entry "${id}".`);
+        return entry.create(context);
+    }
+}
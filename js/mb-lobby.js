@@ -0,0 +1,495 @@
+/*
+ * Multiplayer lobby: who races in the next round, with which marble, and when it starts.
+ *
+ * The host keeps the state of the lobby and sends it to everyone whenever it changes; the other players ask
+ * for changes (ready, skin) with netcode messages (see `MB_NetMessage`).
+ *
+ * A round goes: every player is ready → the host starts the round → everyone loads the level and says so →
+ * the host starts the countdown → every racer finishes, gives up or leaves → back to the lobby.
+ * Players who join during a round spectate it, and race in the next one.
+ */
+
+import { MB_LevelHash } from './mb-netcode.js';
+
+/**
+ * The number of characters of the level's JSON sent per `level` message, well under the 64 KiB a message
+ * can safely carry over a data channel.
+ * @private
+ */
+const LEVEL_CHUNK_LENGTH = 8000;
+
+export class MB_Lobby {
+    /**
+     * Initializes a new instance of the MB_Lobby class.
+     * Pass it every netcode message from the room with `handleMessage`, and call `handlePlayersChange` when the room's players change.
+     * @param {Object} options - Configuration options for the lobby.
+     * @param {MB_Room} options.room - The room the lobby is for.
+     * @param {function(Object, ?string)} options.send - Sends a netcode message reliably, to a peer or (with null) to every other player.
+     * @param {Object} [options.level] - The level document. Required on the host, which sends it to the players who don't have it.
+     * @param {function(number): ?Object} [options.findLevel] - Finds a level document the local player already has by its hash
+     * (see `MB_LevelHash`), so it doesn't have to be downloaded.
+     * @param {function(Object): boolean} [options.acceptLevel] - Checks a level document sent by the host before it is kept
+     * (e.g. validates it). A level it turns down is dropped.
+     * @param {string} [options.skin="default"] - The local player's marble skin.
+     * @param {number} [options.loadTimeout=15000] - Time the host waits for every racer to load the level before starting
+     * the countdown anyway, in milliseconds.
+     * @param {function()} [options.onChange] - Called whenever the state of the lobby changes.
+     * @param {function(Object)} [options.onLevel] - Called with the level document once a player other than the host has it.
+     * @param {function(boolean)} [options.onRoundStart] - Called when a round starts, with whether the local player spectates it.
+     * The level should then be loaded, and `setLoaded` called.
+     * @param {function()} [options.onAllLoaded] - Called on the host once every racer loaded the level (or it waited long enough):
+     * time to start the countdown.
+     * @param {function()} [options.onRoundEnd] - Called when the round is over, and the players are back in the lobby.
+     * @param {function(number, string)} [options.onChat] - Called with the slot of the sender and the text of each chat message.
+     * @returns {MB_Lobby}
+     */
+    constructor(options) {
+        this.room = options.room;
+        /** @private */
+        this.$send = options.send;
+        this.findLevel = options.findLevel || (() => null);
+        this.acceptLevel = options.acceptLevel || (() => true);
+        this.loadTimeout = options.loadTimeout ?? 15000;
+        this.onChange = options.onChange || (() => {});
+        this.onLevel = options.onLevel || (() => {});
+        this.onRoundStart = options.onRoundStart || (() => {});
+        this.onAllLoaded = options.onAllLoaded || (() => {});
+        this.onRoundEnd = options.onRoundEnd || (() => {});
+        this.onChat = options.onChat || (() => {});
+        /**
+         * The level document, once the local player has it.
+         * @type {?Object}
+         */
+        this.level = options.level || null;
+        /** The hash of the level the host races on. */
+        this.levelHash = this.level ? MB_LevelHash.compute(this.level) : null;
+        /**
+         * The local player's slot, once the host gave it one. The host's is always 0.
+         * @type {?number}
+         */
+        this.slot = null;
+        /** The number of rounds started so far. */
+        this.round = 0;
+        /** Whether the host turns new players away. */
+        this.locked = false;
+        /** Whether a round is on. */
+        this.racing = false;
+        /**
+         * The players in the lobby, by the order they joined. Their name and avatar are in the room's player list (see `getProfile`).
+         * @type {Array<{player: number, peer: string, skin: string, ready: boolean, spectator: boolean, hasLevel: boolean}>}
+         */
+        this.players = [];
+        /**
+         * The local player's skin, while the host hasn't acknowledged it.
+         * @private
+         */
+        this.$skin = options.skin || "default";
+        /**
+         * On the host, the racers who loaded the round's level, and those done with the round, by slot.
+         * @private
+         */
+        this.$loaded = new Set();
+        /** @private */
+        this.$finished = new Set();
+        /** @private */
+        this.$loadTimeout = null;
+        /** @private */
+        this.$allLoaded = false;
+        /**
+         * The round the local player is in, if any.
+         * @private
+         */
+        this.$currentRound = null;
+        /**
+         * The parts of the level received so far, on players other than the host.
+         * @private
+         */
+        this.$chunks = null;
+        if (this.room.isHost) {
+            this.slot = 0;
+            this.players.push({player: 0, peer: this.room.peerId, skin: this.$skin, ready: true, spectator: false, hasLevel: true});
+        } else {
+            this.$send({type: "handshake", player: 255, name: this.room.profile.name || "Player"}, this.room.hostId);
+        }
+    }
+
+    /**
+     * The local player's entry, once the host listed it.
+     * @returns {?Object}
+     */
+    get localPlayer() {
+        return this.players.find(player => player.peer === this.room.peerId) || null;
+    }
+
+    /**
+     * The players taking part in the round, spectators excluded.
+     * @returns {Array<Object>}
+     */
+    get racers() {
+        return this.players.filter(player => !player.spectator);
+    }
+
+    /**
+     * Whether the host can start a round: none is on, and every player has the level and is ready.
+     * @returns {boolean}
+     */
+    get canStart() {
+        return this.room.isHost && !this.racing && this.players.every(player => player.ready && player.hasLevel);
+    }
+
+    /**
+     * What the other players see of a player (`name`, `avatar`...), from the room.
+     * @param {string} peer - The player's peer ID.
+     * @returns {Object}
+     */
+    getProfile(peer) {
+        return this.room.players.find(player => player.id === peer)?.profile || {};
+    }
+
+    /**
+     * Gives the slot of a player.
+     * @param {string} peer - The player's peer ID.
+     * @returns {?number} The slot, or null if the player isn't in the lobby.
+     */
+    slotOf(peer) {
+        return this.players.find(player => player.peer === peer)?.player ?? null;
+    }
+
+    /**
+     * Handles a netcode message from the room.
+     * @param {string} peer - The sender's peer ID.
+     * @param {Object} message - The decoded message.
+     * @returns {boolean} Whether it was a lobby message. The others (inputs, snapshots...) are the race's.
+     */
+    handleMessage(peer, message) {
+        if (this.room.isHost) return this.$handleAsHost(peer, message);
+        if (peer !== this.room.hostId) return false;
+        return this.$handleAsPlayer(message);
+    }
+
+    /**
+     * Forgets the players who left the room. Only matters on the host.
+     * @returns {void}
+     */
+    handlePlayersChange() {
+        if (!this.room.isHost) return;
+        const peers = new Set(this.room.players.map(player => player.id));
+        const players = this.players.filter(player => peers.has(player.peer));
+        if (players.length === this.players.length) return;
+        this.players = players;
+        if (this.racing) this.$checkRound();
+        this.$broadcastState();
+    }
+
+    /**
+     * Says whether the local player is ready for the next round. The host always is.
+     * @param {boolean} ready - Whether the local player is ready.
+     * @returns {void}
+     */
+    setReady(ready) {
+        if (this.room.isHost || this.racing || this.slot === null || !this.level) return;
+        this.$send({type: "ready", player: this.slot, ready: ready}, this.room.hostId);
+    }
+
+    /**
+     * Picks the local player's marble skin.
+     * @param {string} skin - The skin's ID.
+     * @returns {void}
+     */
+    setSkin(skin) {
+        this.$skin = skin;
+        if (!this.room.isHost) {
+            if (this.slot !== null) this.$send({type: "skin", player: this.slot, skin: skin}, this.room.hostId);
+            return;
+        }
+        this.localPlayer.skin = skin;
+        this.$broadcastState();
+    }
+
+    /**
+     * Lets new players in, or turns them away. Only the host can lock the lobby.
+     * @param {boolean} locked - Whether the lobby is locked.
+     * @returns {void}
+     */
+    setLocked(locked) {
+        if (!this.room.isHost) return;
+        this.locked = locked;
+        this.room.lock(locked);
+        this.$broadcastState();
+    }
+
+    /**
+     * Starts a round with the players who are ready. Only the host can start rounds.
+     * @returns {boolean} Whether the round started.
+     */
+    startRound() {
+        if (!this.canStart) return false;
+        this.round++;
+        this.racing = true;
+        this.$loaded.clear();
+        this.$finished.clear();
+        this.$allLoaded = false;
+        clearTimeout(this.$loadTimeout);
+        this.$loadTimeout = setTimeout(() => this.$startCountdown(), this.loadTimeout);
+        this.$broadcastState();
+        this.$enterRound();
+        return true;
+    }
+
+    /**
+     * Tells the host the local player loaded the round's level, and is ready for the countdown.
+     * @returns {void}
+     */
+    setLoaded() {
+        if (!this.racing) return;
+        if (this.room.isHost) {
+            this.$loaded.add(this.slot);
+            this.$checkRound();
+        } else {
+            this.$send({type: "ready", player: this.slot, ready: true}, this.room.hostId);
+        }
+    }
+
+    /**
+     * Tells the host the local player gives up the round.
+     * @returns {void}
+     */
+    leaveRound() {
+        if (!this.racing || this.localPlayer?.spectator) return;
+        if (this.room.isHost) this.endRound();
+        else this.$send({type: "ready", player: this.slot, ready: false}, this.room.hostId);
+    }
+
+    /**
+     * Records that a racer finished (or ran out of time), and ends the round once every racer did. Only matters on the host.
+     * @param {number} slot - The racer's slot.
+     * @returns {void}
+     */
+    playerFinished(slot) {
+        if (!this.room.isHost || !this.racing) return;
+        this.$finished.add(slot);
+        this.$checkRound();
+    }
+
+    /**
+     * Ends the round, and brings everyone back to the lobby. Only the host can end rounds.
+     * @returns {void}
+     */
+    endRound() {
+        if (!this.room.isHost || !this.racing) return;
+        this.racing = false;
+        clearTimeout(this.$loadTimeout);
+        for (const player of this.players) {
+            player.ready = player.peer === this.room.peerId;
+            player.spectator = false;
+        }
+        this.$broadcastState();
+        this.$leaveRound();
+    }
+
+    /**
+     * Sends a chat message to everyone in the lobby.
+     * @param {string} text - The message.
+     * @returns {void}
+     */
+    sendChat(text) {
+        if (this.slot === null || !text.trim()) return;
+        if (this.room.isHost) this.$handleAsHost(this.room.peerId, {type: "chat", player: this.slot, text: text});
+        else this.$send({type: "chat", player: this.slot, text: text}, this.room.hostId);
+    }
+
+    /**
+     * Stops the lobby's timers.
+     * @returns {void}
+     */
+    dispose() {
+        clearTimeout(this.$loadTimeout);
+    }
+
+    /** @private */
+    $handleAsHost(peer, message) {
+        const player = this.players.find(player => player.peer === peer);
+        switch (message.type) {
+            case "handshake": {
+                if (player) return true;
+                // Slots are small numbers, reused once their player left
+                let slot = 1;
+                while (this.players.some(player => player.player === slot)) slot++;
+                if (slot > 254) return true;
+                this.players.push({player: slot, peer: peer, skin: "default", ready: false, spectator: this.racing, hasLevel: false});
+                this.$send({type: "handshake", player: slot, name: this.room.profile.name || "Player"}, peer);
+                this.$send({type: "levelHash", hash: this.levelHash}, peer);
+                this.$broadcastState();
+                return true;
+            }
+            case "levelHash":
+                if (!player) return true;
+                if (message.hash === this.levelHash) {
+                    player.hasLevel = true;
+                    this.$broadcastState();
+                } else {
+                    this.$sendLevel(peer);
+                }
+                return true;
+            case "ready":
+                if (!player) return true;
+                if (this.racing) {
+                    // During a round, players say they loaded the level, or give up
+                    if (player.spectator) return true;
+                    if (message.ready) this.$loaded.add(player.player);
+                    else this.$finished.add(player.player);
+                    this.$checkRound();
+                } else if (player.hasLevel) {
+                    player.ready = message.ready;
+                    this.$broadcastState();
+                }
+                return true;
+            case "skin":
+                if (!player) return true;
+                player.skin = `${message.skin}`.slice(0, 32);
+                this.$broadcastState();
+                return true;
+            case "chat": {
+                if (!player) return true;
+                const text = `${message.text}`.slice(0, 200);
+                this.$send({type: "chat", player: player.player, text: text}, null);
+                this.onChat(player.player, text);
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /** @private */
+    $handleAsPlayer(message) {
+        switch (message.type) {
+            case "handshake":
+                this.slot = message.player;
+                // The skin may have been picked before the host gave the local player a slot
+                if (this.$skin !== "default") this.setSkin(this.$skin);
+                this.onChange();
+                return true;
+            case "levelHash": {
+                this.levelHash = message.hash;
+                if (!this.level || MB_LevelHash.compute(this.level) !== message.hash) {
+                    const level = this.findLevel(message.hash);
+                    if (level) this.$setLevel(level);
+                    else this.level = null;
+                }
+                this.$send({type: "levelHash", hash: this.level ? message.hash : 0}, this.room.hostId);
+                return true;
+            }
+            case "level": {
+                if (!this.$chunks || this.$chunks.length !== message.count) this.$chunks = new Array(message.count).fill(null);
+                this.$chunks[message.index] = message.data;
+                if (this.$chunks.includes(null)) return true;
+                const text = this.$chunks.join("");
+                this.$chunks = null;
+                let level;
+                try {
+                    level = JSON.parse(text);
+                } catch (error) {
+                    console.warn("MB_Lobby: The level sent by the host is malformed.", error);
+                    return true;
+                }
+                if (MB_LevelHash.compute(level) !== this.levelHash) {
+                    console.warn("MB_Lobby: The level sent by the host doesn't match its hash.");
+                    return true;
+                }
+                if (!this.acceptLevel(level)) return true;
+                this.$setLevel(level);
+                this.$send({type: "levelHash", hash: this.levelHash}, this.room.hostId);
+                return true;
+            }
+            case "lobby":
+                this.round = message.round;
+                this.locked = message.locked;
+                this.racing = message.racing;
+                this.players = message.players;
+                if (this.racing) this.$enterRound();
+                else this.$leaveRound();
+                this.onChange();
+                return true;
+            case "chat":
+                this.onChat(message.player, message.text);
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Keeps a level sent by the host, or found locally, and joins the round if one is on.
+     * @private
+     */
+    $setLevel(level) {
+        this.level = level;
+        this.onLevel(level);
+        if (this.racing) this.$enterRound();
+    }
+
+    /**
+     * Sends the level to a player, in parts.
+     * @private
+     */
+    $sendLevel(peer) {
+        const text = JSON.stringify(this.level);
+        const chunks = [];
+        for (let start = 0; start < text.length;) {
+            let end = Math.min(start + LEVEL_CHUNK_LENGTH, text.length);
+            // Don't split a surrogate pair, which wouldn't survive being encoded on its own
+            const code = text.charCodeAt(end - 1);
+            if (end < text.length && code >= 0xd800 && code <= 0xdbff) end--;
+            chunks.push(text.slice(start, end));
+            start = end;
+        }
+        chunks.forEach((data, index) => this.$send({type: "level", index: index, count: chunks.length, data: data}, peer));
+    }
+
+    /**
+     * Starts the countdown once every racer loaded the level, and ends the round once every racer is done.
+     * @private
+     */
+    $checkRound() {
+        const racers = this.racers;
+        if (!this.$allLoaded && racers.every(player => this.$loaded.has(player.player) || this.$finished.has(player.player))) this.$startCountdown();
+        if (racers.every(player => this.$finished.has(player.player))) this.endRound();
+    }
+
+    /** @private */
+    $startCountdown() {
+        if (this.$allLoaded || !this.racing) return;
+        this.$allLoaded = true;
+        clearTimeout(this.$loadTimeout);
+        this.onAllLoaded();
+    }
+
+    /**
+     * Joins the round that is on, once the level is there.
+     * @private
+     */
+    $enterRound() {
+        const player = this.localPlayer;
+        if (!player || !this.level || this.$currentRound === this.round) return;
+        this.$currentRound = this.round;
+        this.onRoundStart(player.spectator);
+    }
+
+    /** @private */
+    $leaveRound() {
+        if (this.$currentRound === null) return;
+        this.$currentRound = null;
+        this.onRoundEnd();
+    }
+
+    /** @private */
+    $broadcastState() {
+        this.$send({
+            type: "lobby",
+            round: this.round,
+            locked: this.locked,
+            racing: this.racing,
+            players: this.players,
+        }, null);
+        this.onChange();
+    }
+}
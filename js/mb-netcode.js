@@ -0,0 +1,542 @@
+/*
+ * Multiplayer race netcode: the message protocol, and keeping marbles in sync over a room.
+ *
+ * Messages are encoded to compact binary buffers, sent through an `MB_Room` (see mb-network.js).
+ *
+ * The host is authoritative: it simulates every marble from the inputs the players send, and
+ * broadcasts snapshots of their state. Each player predicts its own marble by simulating its
+ * inputs right away, and reconciles with the snapshots by replaying the inputs the host hasn't
+ * applied yet. The other marbles are drawn slightly in the past, interpolated between snapshots.
+ */
+
+/**
+ * The netcode protocol version, written at the start of every message.
+ * Bump it whenever a message's layout changes.
+ */
+export const MB_NETCODE_VERSION = 1;
+
+export class MB_NetcodeError extends Error {
+    /**
+     * Initializes a new instance of the MB_NetcodeError class.
+     * @param {string} message - A description of what went wrong.
+     * @returns {MB_NetcodeError}
+     */
+    constructor(message) {
+        super(message);
+        this.name = "MB_NetcodeError";
+    }
+}
+
+/**
+ * Reads and writes the field types of messages. The integer types give the range of the values they hold (`max`),
+ * which `MB_NetMessage.encode` checks. `axis` stores a number between -1 and 1 in a byte, and `angle` an angle in
+ * radians in two bytes.
+ * @private
+ */
+const FIELD_TYPES = {
+    u8: {size: 1, max: 0xff, write: (view, offset, value) => view.setUint8(offset, value), read: (view, offset) => view.getUint8(offset)},
+    u16: {size: 2, max: 0xffff, write: (view, offset, value) => view.setUint16(offset, value), read: (view, offset) => view.getUint16(offset)},
+    u32: {size: 4, max: 0xffffffff, write: (view, offset, value) => view.setUint32(offset, value), read: (view, offset) => view.getUint32(offset)},
+    f32: {size: 4, write: (view, offset, value) => view.setFloat32(offset, value), read: (view, offset) => view.getFloat32(offset)},
+    bool: {size: 1, write: (view, offset, value) => view.setUint8(offset, value ? 1 : 0), read: (view, offset) => view.getUint8(offset) !== 0},
+    axis: {
+        size: 1,
+        write: (view, offset, value) => view.setInt8(offset, Math.round(Math.max(-1, Math.min(1, value)) * 127)),
+        read: (view, offset) => view.getInt8(offset) / 127,
+    },
+    angle: {
+        size: 2,
+        write: (view, offset, value) => view.setUint16(offset, Math.round((((value / (2 * Math.PI)) % 1) + 1) % 1 * 65536) % 65536),
+        read: (view, offset) => view.getUint16(offset) / 65536 * 2 * Math.PI,
+    },
+    vec3: {
+        size: 12,
+        write: (view, offset, value) => value.forEach((component, i) => view.setFloat32(offset + i * 4, component)),
+        read: (view, offset) => [0, 1, 2].map(i => view.getFloat32(offset + i * 4)),
+    },
+    quat: {
+        size: 16,
+        write: (view, offset, value) => value.forEach((component, i) => view.setFloat32(offset + i * 4, component)),
+        read: (view, offset) => [0, 1, 2, 3].map(i => view.getFloat32(offset + i * 4)),
+    },
+};
+
+/** @private */
+const textEncoder = new TextEncoder();
+/** @private */
+const textDecoder = new TextDecoder();
+
+export class MB_NetMessage {
+    /**
+     * The message types, with their ID and their fields, in order. A field is `[name, type]`, where the type is one of
+     * `u8`, `u16`, `u32`, `f32`, `bool`, `axis`, `angle`, `vec3`, `quat`, `string`, or a list of fields for an array
+     * of up to 255 entries.
+     * - `handshake`: sent by a player when it connects, with `player` 255. The host answers with the player's slot.
+     * - `levelHash`: sent by the host with the level's hash (see `MB_LevelHash`), and answered by the players with theirs.
+     * - `ready`: a player is (or isn't) ready to race. Relayed by the host.
+     * - `countdown`: the race starts at the host's `startTick`.
+     * - `input`: a player's latest inputs, by sequence number. Recent inputs are repeated, in case messages are lost.
+     * - `snapshot`: the state of every marble at the host's `tick`, with the last input of each player it includes.
+     * - `checkpoint` and `finished`: a player reached a checkpoint or the finish, according to the host.
+     * - `chat`: a chat message. Relayed by the host.
+     * - `lobby`: the state of the lobby (see `MB_Lobby`), sent by the host whenever it changes.
+     * - `skin`: a player picked a marble skin.
+     * - `level`: a part of the level document (its JSON), sent by the host to the players who don't have it.
+     */
+    static types = {
+        handshake: {id: 1, fields: [["player", "u8"], ["name", "string"]]},
+        levelHash: {id: 2, fields: [["hash", "u32"]]},
+        ready: {id: 3, fields: [["player", "u8"], ["ready", "bool"]]},
+        countdown: {id: 4, fields: [["startTick", "u32"]]},
+        input: {id: 5, fields: [["player", "u8"], ["frames", [["sequence", "u32"], ["x", "axis"], ["y", "axis"], ["yaw", "angle"]]]]},
+        snapshot: {id: 6, fields: [
+            ["tick", "u32"],
+            ["marbles", [["player", "u8"], ["lastInput", "u32"], ["position", "vec3"], ["velocity", "vec3"], ["angularVelocity", "vec3"], ["orientation", "quat"]]],
+        ]},
+        checkpoint: {id: 7, fields: [["player", "u8"], ["index", "u8"], ["time", "f32"]]},
+        finished: {id: 8, fields: [["player", "u8"], ["time", "f32"], ["timedOut", "bool"]]},
+        chat: {id: 9, fields: [["player", "u8"], ["text", "string"]]},
+        lobby: {id: 10, fields: [
+            ["round", "u16"],
+            ["locked", "bool"],
+            ["racing", "bool"],
+            ["players", [["player", "u8"], ["peer", "string"], ["skin", "string"], ["ready", "bool"], ["spectator", "bool"], ["hasLevel", "bool"]]],
+        ]},
+        skin: {id: 11, fields: [["player", "u8"], ["skin", "string"]]},
+        level: {id: 12, fields: [["index", "u16"], ["count", "u16"], ["data", "string"]]},
+    };
+
+    /**
+     * Encodes a message: a version byte, a type byte, then the fields in big-endian order.
+     * @param {Object} message - The message, with its `type` and fields.
+     * @throws {MB_NetcodeError} If the message is of an unknown type, a field is missing, or doesn't fit in its type
+     * (e.g. an integer out of its range).
+     * @returns {ArrayBuffer}
+     */
+    static encode(message) {
+        const type = MB_NetMessage.types[message.type];
+        if (!type) throw new MB_NetcodeError(`Unknown message type "${message.type}".`);
+        const size = 2 + MB_NetMessage.$measure(type.fields, message);
+        const view = new DataView(new ArrayBuffer(size));
+        view.setUint8(0, MB_NETCODE_VERSION);
+        view.setUint8(1, type.id);
+        MB_NetMessage.$write(view, 2, type.fields, message);
+        return view.buffer;
+    }
+
+    /**
+     * Decodes a message encoded by `encode`.
+     * @param {ArrayBuffer | ArrayBufferView} buffer - The encoded message.
+     * @returns {Object} The message, with its `type` and fields.
+     * @throws {MB_NetcodeError} If the message is from another protocol version, of an unknown type, or truncated.
+     */
+    static decode(buffer) {
+        const view = ArrayBuffer.isView(buffer) ? new DataView(buffer.buffer, buffer.byteOffset, buffer.byteLength) : new DataView(buffer);
+        if (view.byteLength < 2) throw new MB_NetcodeError("The message is truncated.");
+        const version = view.getUint8(0);
+        if (version !== MB_NETCODE_VERSION) throw new MB_NetcodeError(`The message is from version ${version} of the protocol, not ${MB_NETCODE_VERSION}.`);
+        const id = view.getUint8(1);
+        const name = Object.keys(MB_NetMessage.types).find(key => MB_NetMessage.types[key].id === id);
+        if (!name) throw new MB_NetcodeError(`Unknown message type ${id}.`);
+        const message = {type: name};
+        try {
+            MB_NetMessage.$read(view, 2, MB_NetMessage.types[name].fields, message);
+        } catch (error) {
+            if (error instanceof RangeError) throw new MB_NetcodeError(`The ${name} message is truncated.`);
+            throw error;
+        }
+        return message;
+    }
+
+    /** @private */
+    static $measure(fields, values) {
+        let size = 0;
+        for (const [name, type] of fields) {
+            const value = values[name];
+            // Every field is written, so a missing one would be sent as 0 or ""
+            if (value === undefined || value === null) throw new MB_NetcodeError(`"${name}" is missing.`);
+            if (Array.isArray(type)) {
+                if (value.length > 255) throw new MB_NetcodeError(`"${name}" has more than 255 entries.`);
+                size += 1 + value.reduce((total, entry) => total + MB_NetMessage.$measure(type, entry), 0);
+            } else if (type === "string") {
+                // Strings are prefixed with their length in bytes, as a u16
+                const length = textEncoder.encode(value).length;
+                if (length > 0xffff) throw new MB_NetcodeError(`"${name}" is longer than 65535 bytes.`);
+                size += 2 + length;
+            } else {
+                const {size: fieldSize, max} = FIELD_TYPES[type];
+                // DataView wraps integers out of range around, so they would arrive as other numbers
+                if (max !== undefined && !(Number.isInteger(value) && value >= 0 && value <= max)) {
+                    throw new MB_NetcodeError(`"${name}" is not an integer between 0 and ${max}.`);
+                }
+                size += fieldSize;
+            }
+        }
+        return size;
+    }
+
+    /** @private */
+    static $write(view, offset, fields, values) {
+        for (const [name, type] of fields) {
+            const value = values[name];
+            if (Array.isArray(type)) {
+                view.setUint8(offset++, value.length);
+                for (const entry of value) offset = MB_NetMessage.$write(view, offset, type, entry);
+            } else if (type === "string") {
+                const bytes = textEncoder.encode(value);
+                view.setUint16(offset, bytes.length);
+                new Uint8Array(view.buffer, view.byteOffset + offset + 2, bytes.length).set(bytes);
+                offset += 2 + bytes.length;
+            } else {
+                FIELD_TYPES[type].write(view, offset, value);
+                offset += FIELD_TYPES[type].size;
+            }
+        }
+        return offset;
+    }
+
+    /** @private */
+    static $read(view, offset, fields, values) {
+        for (const [name, type] of fields) {
+            if (Array.isArray(type)) {
+                const count = view.getUint8(offset++);
+                values[name] = [];
+                for (let i = 0; i < count; i++) {
+                    const entry = {};
+                    offset = MB_NetMessage.$read(view, offset, type, entry);
+                    values[name].push(entry);
+                }
+            } else if (type === "string") {
+                const length = view.getUint16(offset);
+                if (offset + 2 + length > view.byteLength) throw new RangeError("Out of bounds");
+                values[name] = textDecoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset + 2, length));
+                offset += 2 + length;
+            } else {
+                values[name] = FIELD_TYPES[type].read(view, offset);
+                offset += FIELD_TYPES[type].size;
+            }
+        }
+        return offset;
+    }
+}
+
+export class MB_LevelHash {
+    /**
+     * Hashes a level document, so players can check they are about to race on the same level.
+     * Key order doesn't matter, but everything else does.
+     * @param {Object} data - The level document.
+     * @returns {number} A 32-bit hash (FNV-1a of the document's canonical JSON).
+     */
+    static compute(data) {
+        const canonical = value => {
+            if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+            if (value && typeof value === "object") {
+                return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(",")}}`;
+            }
+            return JSON.stringify(value);
+        };
+        let hash = 0x811c9dc5;
+        for (const byte of textEncoder.encode(canonical(data))) {
+            hash ^= byte;
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+/**
+ * Copies a marble's state from a snapshot entry.
+ * @private
+ */
+function applyMarbleState(marble, state) {
+    marble.position = [...state.position];
+    marble.velocity = [...state.velocity];
+    marble.angularVelocity = [...state.angularVelocity];
+    marble.orientation = [...state.orientation];
+}
+
+export class MB_NetHost {
+    /**
+     * Initializes a new instance of the MB_NetHost class.
+     * Runs the authoritative simulation on the host: applies the players' inputs to their marbles, one per step,
+     * and broadcasts snapshots. Call `beforeStep` and `afterStep` from the world's `onBeforeStep` and `onAfterStep`.
+     * @param {Object} options - Configuration options for the host.
+     * @param {MB_PhysicsWorld} options.world - The world simulating every marble.
+     * @param {function(ArrayBuffer)} options.broadcast - Sends an encoded message to every player (unreliably is fine).
+     * @param {number} [options.snapshotInterval=4] - Number of steps between snapshots.
+     * @param {number} [options.maxBufferedInputs=12] - Number of inputs queued for a player after which the oldest are dropped,
+     * so a player whose messages arrive in bursts doesn't stay behind.
+     * @returns {MB_NetHost}
+     */
+    constructor(options) {
+        this.world = options.world;
+        /** @private */
+        this.$broadcast = options.broadcast;
+        this.snapshotInterval = options.snapshotInterval ?? 4;
+        this.maxBufferedInputs = options.maxBufferedInputs ?? 12;
+        /**
+         * The marbles by player slot, with their queued inputs and the sequence number of the last one applied.
+         * @type {Map<number, {marble: MB_PhysicsMarble, inputs: Array<Object>, lastInput: number}>}
+         */
+        this.players = new Map();
+    }
+
+    /**
+     * Adds a player's marble to the simulation. The host's own marble is added too, and driven by local input.
+     * @param {number} player - The player's slot.
+     * @param {MB_PhysicsMarble} marble - The player's marble.
+     * @returns {void}
+     */
+    addPlayer(player, marble) {
+        this.players.set(player, {marble: marble, inputs: [], lastInput: 0});
+    }
+
+    /**
+     * Removes a player's marble from the simulation (not from the world).
+     * @param {number} player - The player's slot.
+     * @returns {void}
+     */
+    removePlayer(player) {
+        this.players.delete(player);
+    }
+
+    /**
+     * Queues the inputs of an `input` message that haven't been received yet.
+     * @param {Object} message - The decoded `input` message.
+     * @returns {void}
+     */
+    receiveInput(message) {
+        const entry = this.players.get(message.player);
+        if (!entry) return;
+        const newest = entry.inputs.length ? entry.inputs[entry.inputs.length - 1].sequence : entry.lastInput;
+        for (const frame of message.frames) {
+            if (frame.sequence > newest) entry.inputs.push(frame);
+        }
+        entry.inputs.sort((a, b) => a.sequence - b.sequence);
+        if (entry.inputs.length > this.maxBufferedInputs) entry.inputs.splice(0, entry.inputs.length - this.maxBufferedInputs);
+    }
+
+    /**
+     * Applies the next queued input of each remote player. If none arrived, the marble keeps its last input.
+     * @returns {void}
+     */
+    beforeStep() {
+        for (const entry of this.players.values()) {
+            const frame = entry.inputs.shift();
+            if (!frame) continue;
+            entry.marble.setInput(frame.x, frame.y, frame.yaw);
+            entry.lastInput = frame.sequence;
+        }
+    }
+
+    /**
+     * Broadcasts a snapshot every `snapshotInterval` steps.
+     * @param {number} tick - The world's tick, after the step.
+     * @returns {void}
+     */
+    afterStep(tick) {
+        if (tick % this.snapshotInterval === 0) this.$broadcast(MB_NetMessage.encode(this.createSnapshot(tick)));
+    }
+
+    /**
+     * Describes the state of every marble.
+     * @param {number} tick - The world's tick.
+     * @returns {Object} A `snapshot` message.
+     */
+    createSnapshot(tick) {
+        const marbles = [];
+        for (const [player, {marble, lastInput}] of this.players) {
+            marbles.push({
+                player: player,
+                lastInput: lastInput,
+                position: marble.position,
+                velocity: marble.velocity,
+                angularVelocity: marble.angularVelocity,
+                orientation: marble.orientation,
+            });
+        }
+        return {type: "snapshot", tick: tick, marbles: marbles};
+    }
+}
+
+export class MB_NetClient {
+    /**
+     * Initializes a new instance of the MB_NetClient class.
+     * Predicts the local player's marble, and reconciles it with the host's snapshots.
+     * Call `beforeStep` from the world's `onBeforeStep`, and skip anything that must only happen once per step
+     * (race rules, sounds...) while `replaying` is true.
+     * @param {Object} options - Configuration options for the client.
+     * @param {MB_PhysicsWorld} options.world - The local world. The other marbles in it must be frozen.
+     * @param {MB_PhysicsMarble} options.marble - The local player's marble.
+     * @param {number} options.player - The local player's slot.
+     * @param {function(ArrayBuffer)} options.send - Sends an encoded message to the host (unreliably is fine).
+     * @param {function(number)} [options.onRewind] - Called with the tick the world is rewound to before a replay,
+     * to put anything driven by the tick (moving platforms) back where it was.
+     * @param {number} [options.redundancy=6] - Number of recent inputs repeated in each `input` message.
+     * @param {number} [options.maxPendingInputs=240] - Number of unacknowledged inputs kept for replays.
+     * @returns {MB_NetClient}
+     */
+    constructor(options) {
+        this.world = options.world;
+        this.marble = options.marble;
+        this.player = options.player;
+        /** @private */
+        this.$send = options.send;
+        this.onRewind = options.onRewind || (() => {});
+        this.redundancy = options.redundancy ?? 6;
+        this.maxPendingInputs = options.maxPendingInputs ?? 240;
+        /** Whether the world is being stepped again to replay inputs. */
+        this.replaying = false;
+        /** The tick of the last snapshot applied. */
+        this.lastSnapshotTick = -1;
+        /**
+         * The distance the marble was moved by the last reconciliation, to tell how far off the prediction was.
+         * @type {number}
+         */
+        this.lastCorrection = 0;
+        /** @private */
+        this.$sequence = 0;
+        /**
+         * The inputs the host hasn't applied yet.
+         * @private
+         */
+        this.$pending = [];
+    }
+
+    /**
+     * Records and sends the marble's input for the coming step. Inputs are quantized the way they are sent,
+     * so the prediction simulates exactly what the host will.
+     * @returns {void}
+     */
+    beforeStep() {
+        if (this.replaying) return;
+        const input = this.marble.input;
+        const frame = MB_NetMessage.decode(MB_NetMessage.encode({
+            type: "input",
+            player: this.player,
+            frames: [{sequence: ++this.$sequence, x: input.x, y: input.y, yaw: input.yaw}],
+        })).frames[0];
+        this.marble.setInput(frame.x, frame.y, frame.yaw);
+        this.$pending.push(frame);
+        if (this.$pending.length > this.maxPendingInputs) this.$pending.shift();
+        this.$send(MB_NetMessage.encode({type: "input", player: this.player, frames: this.$pending.slice(-this.redundancy)}));
+    }
+
+    /**
+     * Moves the local marble to its state in a snapshot, then replays the inputs the host hasn't applied yet.
+     * Snapshots older than the last one applied are ignored.
+     * @param {Object} snapshot - The decoded `snapshot` message.
+     * @returns {void}
+     */
+    receiveSnapshot(snapshot) {
+        if (snapshot.tick <= this.lastSnapshotTick) return;
+        this.lastSnapshotTick = snapshot.tick;
+        const state = snapshot.marbles.find(entry => entry.player === this.player);
+        if (!state) return;
+        this.$pending = this.$pending.filter(frame => frame.sequence > state.lastInput);
+        const marble = this.marble;
+        const predicted = [...marble.position];
+        const input = {...marble.input};
+        applyMarbleState(marble, state);
+        // Step the world again from the snapshot's tick, with the inputs sent since
+        this.world.tick = snapshot.tick;
+        this.onRewind(snapshot.tick);
+        this.replaying = true;
+        try {
+            for (const frame of this.$pending) {
+                marble.setInput(frame.x, frame.y, frame.yaw);
+                this.world.stepFixed();
+            }
+        } finally {
+            this.replaying = false;
+        }
+        marble.setInput(input.x, input.y, input.yaw);
+        this.lastCorrection = Math.hypot(...predicted.map((value, i) => value - marble.position[i]));
+    }
+}
+
+export class MB_NetInterpolator {
+    /**
+     * Initializes a new instance of the MB_NetInterpolator class.
+     * Buffers the snapshots of remote marbles, and gives their state a little in the past, between two snapshots,
+     * so they move smoothly whatever the jitter or the loss of snapshots.
+     * @param {Object} options - Configuration options for the interpolator.
+     * @param {number} options.timestep - The physics step length, in seconds.
+     * @param {number} [options.delay=.1] - How far in the past remote marbles are shown, in seconds.
+     * Should cover a few snapshot intervals.
+     * @param {number} [options.bufferSeconds=1] - How long snapshots are kept, in seconds.
+     * @returns {MB_NetInterpolator}
+     */
+    constructor(options) {
+        this.timestep = options.timestep;
+        this.delay = options.delay ?? .1;
+        this.bufferSeconds = options.bufferSeconds ?? 1;
+        /**
+         * The buffered states by player slot, oldest first.
+         * @private
+         */
+        this.$states = new Map();
+        /**
+         * The host's tick minus the local clock, in ticks. Smoothed, since snapshots arrive with jitter.
+         * @private
+         */
+        this.$clockOffset = null;
+    }
+
+    /**
+     * Buffers the state of every marble in a snapshot.
+     * @param {Object} snapshot - The decoded `snapshot` message.
+     * @param {number} now - The local time the snapshot arrived at, in milliseconds (e.g. `performance.now()`).
+     * @returns {void}
+     */
+    push(snapshot, now) {
+        const offset = snapshot.tick - now / 1000 / this.timestep;
+        // Follow the host's clock smoothly, but jump when it is far off (e.g. after the tab was in the background)
+        if (this.$clockOffset === null || Math.abs(offset - this.$clockOffset) * this.timestep > .5) this.$clockOffset = offset;
+        else this.$clockOffset += (offset - this.$clockOffset) * .05;
+        const oldest = snapshot.tick - this.bufferSeconds / this.timestep;
+        for (const entry of snapshot.marbles) {
+            if (!this.$states.has(entry.player)) this.$states.set(entry.player, []);
+            const states = this.$states.get(entry.player);
+            if (states.length && states[states.length - 1].tick >= snapshot.tick) continue;
+            states.push({tick: snapshot.tick, position: entry.position, orientation: entry.orientation});
+            while (states.length > 2 && states[0].tick < oldest) states.shift();
+        }
+    }
+
+    /**
+     * Forgets a player's marble.
+     * @param {number} player - The player's slot.
+     * @returns {void}
+     */
+    remove(player) {
+        this.$states.delete(player);
+    }
+
+    /**
+     * Gives the interpolated state of a remote marble.
+     * @param {number} player - The player's slot.
+     * @param {number} now - The local time, in milliseconds.
+     * @returns {?{position: Array<number>, orientation: Array<number>}} The state, or null if no snapshot mentioned the marble yet.
+     */
+    sample(player, now) {
+        const states = this.$states.get(player);
+        if (!states || !states.length) return null;
+        const tick = now / 1000 / this.timestep + this.$clockOffset - this.delay / this.timestep;
+        let i = states.length - 1;
+        while (i > 0 && states[i - 1].tick > tick) i--;
+        // Hold the oldest or newest state rather than extrapolating
+        if (i === 0 || states[i].tick <= tick) {
+            const state = tick < states[0].tick ? states[0] : states[i];
+            return {position: [...state.position], orientation: [...state.orientation]};
+        }
+        const a = states[i - 1], b = states[i];
+        const t = (tick - a.tick) / (b.tick - a.tick);
+        const position = a.position.map((value, j) => value + (b.position[j] - value) * t);
+        // Normalized lerp along the shortest arc, close enough to a slerp between nearby snapshots
+        const sign = a.orientation.reduce((sum, value, j) => sum + value * b.orientation[j], 0) < 0 ? -1 : 1;
+        const orientation = a.orientation.map((value, j) => value + (sign * b.orientation[j] - value) * t);
+        const norm = Math.hypot(...orientation) || 1;
+        return {position: position, orientation: orientation.map(value => value / norm)};
+    }
+}
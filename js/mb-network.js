@@ -0,0 +1,1162 @@
+/*
+ * Multiplayer rooms: join codes, signaling and connections between players.
+ *
+ * This module has no dependency on the DOM. The signaling transport, the RTCPeerConnection
+ * constructor and the WebSocket constructor are passed in, so rooms can run on an in-memory
+ * signaling stand-in and fake connections under Node.
+ *
+ * A room is created by a host, who gets a short join code. Joining players find the host through
+ * the signaling transport, introduce themselves, and connect either to every other player (`mesh`)
+ * or only to the host (`star`). The host keeps the list of players and sends it to everyone
+ * whenever it changes.
+ *
+ * Connections go through link transports: peer-to-peer WebRTC, or a WebSocket relay server for
+ * browsers without WebRTC and players behind strict NATs (see server/mb-relay-server.mjs).
+ */
+
+/**
+ * The room protocol version. Players can only join rooms hosted with the same version.
+ */
+export const MB_ROOM_PROTOCOL_VERSION = 2;
+
+export class MB_RoomError extends Error {
+    /**
+     * Initializes a new instance of the MB_RoomError class.
+     * @param {'room-not-found' | 'code-taken' | 'room-full' | 'room-locked' | 'version-mismatch' | 'no-transport' | 'rejected' | 'timeout' | 'signaling'} code - What went wrong.
+     * @param {string} message - A description of what went wrong.
+     * @returns {MB_RoomError}
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = "MB_RoomError";
+        this.code = code;
+    }
+}
+
+/**
+ * Returns a random string from an alphabet, using the platform's cryptographic random source.
+ * @private
+ */
+function randomString(length, alphabet) {
+    const values = crypto.getRandomValues(new Uint32Array(length));
+    return Array.from(values, value => alphabet[value % alphabet.length]).join("");
+}
+
+export class MB_JoinCode {
+    /** The characters join codes are made of, without the ones easily mistaken for each other (0/O, 1/I/L). */
+    static alphabet = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+    /** The number of characters in a join code. */
+    static length = 6;
+
+    /**
+     * Generates a random join code.
+     * @returns {string}
+     */
+    static generate() {
+        return randomString(MB_JoinCode.length, MB_JoinCode.alphabet);
+    }
+
+    /**
+     * Normalizes a join code typed by a player: upper case, without spaces or dashes.
+     * @param {string} code - The code as typed.
+     * @returns {string}
+     */
+    static normalize(code) {
+        return `${code}`.toUpperCase().replace(/[\s-]/g, "");
+    }
+
+    /**
+     * Checks whether a (normalized) string is a well-formed join code.
+     * @param {string} code - The code.
+     * @returns {boolean}
+     */
+    static isValid(code) {
+        return code.length === MB_JoinCode.length && [...code].every(character => MB_JoinCode.alphabet.includes(character));
+    }
+}
+
+export class MB_SignalingTransport {
+    /**
+     * Initializes a new instance of the MB_SignalingTransport class.
+     * This is the interface signaling transports implement: a message bus between the players of a room,
+     * used to introduce players and to exchange WebRTC offers, answers and ICE candidates.
+     * Messages are JSON-compatible objects.
+     * @returns {MB_SignalingTransport}
+     */
+    constructor() {
+        /**
+         * Called with the sender's peer ID and the message whenever a message arrives.
+         * @type {function(string, Object)}
+         */
+        this.onmessage = () => {};
+        /**
+         * Called when the transport is closed by the other end (e.g. the signaling server went away).
+         * @type {function()}
+         */
+        this.onclose = () => {};
+    }
+
+    /**
+     * Opens a room (as its host) or enters it (as a player).
+     * Rejects with an `MB_RoomError` (`code-taken` or `room-not-found`) if that isn't possible.
+     * @param {string} room - The room's join code.
+     * @param {string} peerId - The ID of the local player.
+     * @param {boolean} host - Whether to open the room rather than enter it.
+     * @returns {Promise<{hostId: string}>} The host's peer ID.
+     */
+    open(room, peerId, host) {
+        throw new Error("MB_SignalingTransport: open() is not implemented.");
+    }
+
+    /**
+     * Sends a message to another player of the room.
+     * @param {string} to - The peer ID of the recipient.
+     * @param {Object} message - The message.
+     * @returns {void}
+     */
+    send(to, message) {
+        throw new Error("MB_SignalingTransport: send() is not implemented.");
+    }
+
+    /**
+     * Leaves the room. If the host leaves, the room's code can be used again.
+     * @returns {void}
+     */
+    close() {
+        throw new Error("MB_SignalingTransport: close() is not implemented.");
+    }
+}
+
+export class MB_MemorySignalingHub {
+    /**
+     * Initializes a new instance of the MB_MemorySignalingHub class.
+     * Stands in for a signaling server inside a single page or process, e.g. for tests or local play.
+     * Connect transports to it with `new MB_MemorySignaling(hub)`.
+     * @returns {MB_MemorySignalingHub}
+     */
+    constructor() {
+        /**
+         * The open rooms by join code, with the host's peer ID and the transports in the room by peer ID.
+         * @type {Map<string, {hostId: string, peers: Map<string, MB_MemorySignaling>}>}
+         */
+        this.rooms = new Map();
+    }
+}
+
+export class MB_MemorySignaling extends MB_SignalingTransport {
+    /**
+     * Initializes a new instance of the MB_MemorySignaling class.
+     * Messages are delivered asynchronously and copied, as they would be over a network.
+     * @param {MB_MemorySignalingHub} hub - The hub standing in for the signaling server.
+     * @returns {MB_MemorySignaling}
+     */
+    constructor(hub) {
+        super();
+        this.hub = hub;
+        /** @private */
+        this.$room = null;
+        /** @private */
+        this.$peerId = null;
+    }
+
+    open(room, peerId, host) {
+        const rooms = this.hub.rooms;
+        if (host && rooms.has(room)) return Promise.reject(new MB_RoomError("code-taken", `The room code ${room} is already in use.`));
+        if (!host && !rooms.has(room)) return Promise.reject(new MB_RoomError("room-not-found", `There is no room with the code ${room}.`));
+        if (host) rooms.set(room, {hostId: peerId, peers: new Map()});
+        rooms.get(room).peers.set(peerId, this);
+        this.$room = room;
+        this.$peerId = peerId;
+        return Promise.resolve({hostId: rooms.get(room).hostId});
+    }
+
+    send(to, message) {
+        const recipient = this.hub.rooms.get(this.$room)?.peers.get(to);
+        if (!recipient) return;
+        const from = this.$peerId;
+        const copy = structuredClone(message);
+        setTimeout(() => recipient.onmessage(from, copy), 0);
+    }
+
+    close() {
+        const room = this.hub.rooms.get(this.$room);
+        if (!room) return;
+        room.peers.delete(this.$peerId);
+        if (room.hostId === this.$peerId) {
+            this.hub.rooms.delete(this.$room);
+            room.peers.forEach(peer => setTimeout(() => peer.onclose(), 0));
+        }
+        this.$room = null;
+    }
+}
+
+export class MB_WebSocketSignaling extends MB_SignalingTransport {
+    /**
+     * Initializes a new instance of the MB_WebSocketSignaling class.
+     * Talks to a signaling server with JSON text frames:
+     * - to the server: `{type: "open", room, peer, host}`, `{type: "signal", to, data}`;
+     * - from the server: `{type: "opened", hostId}`, `{type: "error", code, message}`, `{type: "signal", from, data}`.
+     * The server closes every socket of a room when its host leaves.
+     * @param {string} url - The URL of the signaling server (`ws://` or `wss://`).
+     * @param {Object} [options] - Configuration options for the transport.
+     * @param {typeof WebSocket} [options.WebSocket] - The WebSocket constructor to use. Defaults to the platform's.
+     * @param {number} [options.timeout=10000] - Time to wait for the server to open the room, in milliseconds.
+     * @returns {MB_WebSocketSignaling}
+     */
+    constructor(url, options = {}) {
+        super();
+        this.url = url;
+        /** @private */
+        this.$WebSocket = options.WebSocket || globalThis.WebSocket;
+        this.timeout = options.timeout ?? 10000;
+        /** @private */
+        this.$socket = null;
+    }
+
+    open(room, peerId, host) {
+        return new Promise((resolve, reject) => {
+            const socket = new this.$WebSocket(this.url);
+            this.$socket = socket;
+            let opened = false;
+            const fail = error => {
+                clearTimeout(timeout);
+                socket.onclose = null;
+                socket.close();
+                reject(error);
+            };
+            const timeout = setTimeout(() => fail(new MB_RoomError("timeout", "The signaling server did not answer.")), this.timeout);
+            socket.onopen = () => socket.send(JSON.stringify({type: "open", room: room, peer: peerId, host: host}));
+            socket.onerror = () => {
+                if (!opened) fail(new MB_RoomError("signaling", `Could not reach the signaling server at ${this.url}.`));
+            };
+            socket.onclose = () => {
+                if (opened) this.onclose();
+                else fail(new MB_RoomError("signaling", "The signaling server closed the connection."));
+            };
+            socket.onmessage = event => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.warn("MB_WebSocketSignaling: Ignored a malformed message.", error);
+                    return;
+                }
+                if (message.type === "opened" && !opened) {
+                    opened = true;
+                    clearTimeout(timeout);
+                    resolve({hostId: message.hostId});
+                } else if (message.type === "error" && !opened) {
+                    fail(new MB_RoomError(message.code, message.message));
+                } else if (message.type === "signal") {
+                    this.onmessage(message.from, message.data);
+                }
+            };
+        });
+    }
+
+    send(to, message) {
+        if (this.$socket && this.$socket.readyState === 1) this.$socket.send(JSON.stringify({type: "signal", to: to, data: message}));
+    }
+
+    close() {
+        if (!this.$socket) return;
+        this.$socket.onclose = null;
+        this.$socket.close();
+        this.$socket = null;
+    }
+}
+
+export class MB_LinkTransport {
+    /**
+     * Initializes a new instance of the MB_LinkTransport class.
+     * This is the interface link transports implement: they connect the local player to the other players of a room.
+     * The links they create have three channels: `room` (the room's own messages), `reliable` (ordered, retransmitted)
+     * and `unreliable` (for frequent state updates, may be dropped), and the members of `MB_PeerLink`:
+     * `peerId`, `initiator`, `open`, `closed`, `handleSignal()`, `send()` and `close()`.
+     * @param {string} kind - Names the transport, so both ends of a link use the same one (e.g. `webrtc`).
+     * @returns {MB_LinkTransport}
+     */
+    constructor(kind) {
+        this.kind = kind;
+    }
+
+    /**
+     * Called by the room once it knows its join code, before creating any link.
+     * @param {string} room - The room's join code.
+     * @param {string} peerId - The ID of the local player.
+     * @returns {void}
+     */
+    attach(room, peerId) {}
+
+    /**
+     * Creates a link to another player. The link exchanges its setup messages through `options.signal`,
+     * and receives the other end's with `handleSignal`.
+     * @param {Object} options - The link's options (see `MB_PeerLink`, without `createPeerConnection` and `rtcConfiguration`).
+     * @returns {MB_PeerLink}
+     */
+    createLink(options) {
+        throw new Error("MB_LinkTransport: createLink() is not implemented.");
+    }
+
+    /**
+     * Called by the room when it closes, after closing its links.
+     * @returns {void}
+     */
+    detach() {}
+}
+
+export class MB_WebRTCTransport extends MB_LinkTransport {
+    /**
+     * Initializes a new instance of the MB_WebRTCTransport class.
+     * Connects players directly, with WebRTC data channels.
+     * @param {Object} [options] - Configuration options for the transport.
+     * @param {function(Object): RTCPeerConnection} [options.createPeerConnection] - Creates a peer connection from a configuration.
+     * Defaults to the platform's `RTCPeerConnection`.
+     * @param {Object} [options.rtcConfiguration] - The peer connections' configuration (ICE servers...).
+     * @returns {MB_WebRTCTransport}
+     */
+    constructor(options = {}) {
+        super("webrtc");
+        /** @private */
+        this.$createPeerConnection = options.createPeerConnection || (configuration => new RTCPeerConnection(configuration));
+        this.rtcConfiguration = options.rtcConfiguration || {};
+    }
+
+    createLink(options) {
+        return new MB_PeerLink({
+            ...options,
+            createPeerConnection: this.$createPeerConnection,
+            rtcConfiguration: this.rtcConfiguration,
+        });
+    }
+}
+
+/**
+ * The channels of relayed frames, by number. Text frames have the `RELAY_TEXT` bit set.
+ * @private
+ */
+const RELAY_CHANNELS = ["room", "reliable", "unreliable"];
+/** @private */
+const RELAY_TEXT = 0x80;
+/**
+ * The channel number of the frame telling the other end a link was closed.
+ * @private
+ */
+const RELAY_CLOSE = 0x7f;
+
+/** @private */
+const relayEncoder = new TextEncoder();
+/** @private */
+const relayDecoder = new TextDecoder();
+
+export class MB_RelayTransport extends MB_LinkTransport {
+    /**
+     * Initializes a new instance of the MB_RelayTransport class.
+     * Connects players through a relay server, over a single WebSocket per room. Slower than WebRTC, since everything
+     * goes through the server and nothing is ever dropped, but it works wherever WebSockets do.
+     * The server speaks the same protocol as the signaling server, plus:
+     * - to the server: `{type: "relay", room, peer}` once, then binary frames;
+     * - from the server: `{type: "relaying"}`, `{type: "error", code, message}`, `{type: "left", peer}`, and binary frames.
+     * A binary frame is the length of a peer ID (1 byte), the peer ID (the recipient's when sent, the sender's when received),
+     * the channel (1 byte) and the data.
+     * @param {string} url - The URL of the relay server (`ws://` or `wss://`).
+     * @param {Object} [options] - Configuration options for the transport.
+     * @param {typeof WebSocket} [options.WebSocket] - The WebSocket constructor to use. Defaults to the platform's.
+     * @param {number} [options.timeout=10000] - Time to wait for the server to accept the connection, in milliseconds.
+     * @returns {MB_RelayTransport}
+     */
+    constructor(url, options = {}) {
+        super("relay");
+        this.url = url;
+        /** @private */
+        this.$WebSocket = options.WebSocket || globalThis.WebSocket;
+        this.timeout = options.timeout ?? 10000;
+        /** @private */
+        this.$socket = null;
+        /**
+         * The links by peer ID.
+         * @private
+         */
+        this.$links = new Map();
+        /**
+         * Settles once the server relays the local player's frames.
+         * @type {?Promise<void>}
+         */
+        this.ready = null;
+    }
+
+    attach(room, peerId) {
+        this.ready = new Promise((resolve, reject) => {
+            const socket = new this.$WebSocket(this.url);
+            socket.binaryType = "arraybuffer";
+            this.$socket = socket;
+            let relaying = false;
+            const fail = error => {
+                clearTimeout(timeout);
+                this.detach();
+                reject(error);
+            };
+            const timeout = setTimeout(() => fail(new MB_RoomError("timeout", "The relay server did not answer.")), this.timeout);
+            socket.onopen = () => socket.send(JSON.stringify({type: "relay", room: room, peer: peerId}));
+            socket.onerror = () => {
+                if (!relaying) fail(new MB_RoomError("signaling", `Could not reach the relay server at ${this.url}.`));
+            };
+            socket.onclose = () => {
+                if (relaying) this.detach();
+                else fail(new MB_RoomError("signaling", "The relay server closed the connection."));
+            };
+            socket.onmessage = event => {
+                if (typeof event.data !== "string") {
+                    this.$receive(event.data);
+                    return;
+                }
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.warn("MB_RelayTransport: Ignored a malformed message.", error);
+                    return;
+                }
+                if (message.type === "relaying" && !relaying) {
+                    relaying = true;
+                    clearTimeout(timeout);
+                    resolve();
+                } else if (message.type === "error" && !relaying) {
+                    fail(new MB_RoomError(message.code, message.message));
+                } else if (message.type === "left") {
+                    this.$links.get(message.peer)?.close(false);
+                }
+            };
+        });
+        // Links report the failure themselves
+        this.ready.catch(() => {});
+    }
+
+    createLink(options) {
+        const link = new MB_RelayLink({...options, transport: this});
+        this.$links.set(link.peerId, link);
+        return link;
+    }
+
+    detach() {
+        this.$links.forEach(link => link.close(false));
+        if (!this.$socket) return;
+        this.$socket.onclose = null;
+        this.$socket.close();
+        this.$socket = null;
+    }
+
+    /**
+     * Sends a frame to another player through the server.
+     * @private
+     */
+    $send(peerId, channel, data) {
+        if (!this.$socket || this.$socket.readyState !== 1) return;
+        const id = relayEncoder.encode(peerId);
+        let code = channel === "close" ? RELAY_CLOSE : RELAY_CHANNELS.indexOf(channel);
+        let payload;
+        if (typeof data === "string") {
+            payload = relayEncoder.encode(data);
+            code |= RELAY_TEXT;
+        } else {
+            payload = data instanceof ArrayBuffer ? new Uint8Array(data) : new Uint8Array(data?.buffer || 0, data?.byteOffset, data?.byteLength);
+        }
+        const frame = new Uint8Array(2 + id.length + payload.length);
+        frame[0] = id.length;
+        frame.set(id, 1);
+        frame[1 + id.length] = code;
+        frame.set(payload, 2 + id.length);
+        this.$socket.send(frame.buffer);
+    }
+
+    /**
+     * Hands a frame from the server to its link.
+     * @private
+     */
+    $receive(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const idLength = bytes[0];
+        if (bytes.length < 2 + idLength) return;
+        const link = this.$links.get(relayDecoder.decode(bytes.subarray(1, 1 + idLength)));
+        if (!link) return;
+        const code = bytes[1 + idLength];
+        if (code === RELAY_CLOSE) {
+            link.close(false);
+            return;
+        }
+        const channel = RELAY_CHANNELS[code & ~RELAY_TEXT];
+        if (!channel) return;
+        // A frame can overtake the signal saying the other end is ready, which it obviously is
+        if (!link.open) link.handleSignal({ready: true});
+        if (!link.open) return;
+        const payload = bytes.slice(2 + idLength);
+        link.onmessage(channel, code & RELAY_TEXT ? relayDecoder.decode(payload) : payload.buffer);
+    }
+}
+
+export class MB_RelayLink {
+    /**
+     * Initializes a new instance of the MB_RelayLink class.
+     * A connection to another player through a relay server. Both ends tell each other (through the signaling transport)
+     * once the server relays their frames, and the link opens when both are.
+     * Use `MB_Room` with an `MB_RelayTransport` rather than creating links directly.
+     * @param {Object} options - Configuration options for the link.
+     * @param {MB_RelayTransport} options.transport - The transport relaying the link's frames.
+     * @param {string} options.peerId - The ID of the other player.
+     * @param {boolean} options.initiator - Whether the local player asked for the link.
+     * @param {function(Object)} options.signal - Sends a signaling message to the other player.
+     * @param {function()} [options.onopen] - Called once the link is open.
+     * @param {function()} [options.onclose] - Called once when the link is closed.
+     * @param {function('room' | 'reliable' | 'unreliable', *)} [options.onmessage] - Called with the channel and the data of each message.
+     * @returns {MB_RelayLink}
+     */
+    constructor(options) {
+        this.transport = options.transport;
+        this.peerId = options.peerId;
+        this.initiator = options.initiator;
+        this.onopen = options.onopen || (() => {});
+        this.onclose = options.onclose || (() => {});
+        this.onmessage = options.onmessage || (() => {});
+        /** @private */
+        this.$signal = options.signal;
+        this.open = false;
+        this.closed = false;
+        /** @private */
+        this.$localReady = false;
+        /** @private */
+        this.$remoteReady = false;
+        this.transport.ready.then(() => {
+            if (this.closed) return;
+            this.$localReady = true;
+            this.$signal({ready: true});
+            this.$checkOpen();
+        }, error => {
+            console.error(`MB_RelayLink: Could not relay to ${this.peerId}.`, error);
+            this.close(false);
+        });
+    }
+
+    /**
+     * Handles a signaling message from the other player.
+     * @param {{ready?: boolean}} message - The message.
+     * @returns {void}
+     */
+    handleSignal(message) {
+        if (this.closed || !message.ready) return;
+        this.$remoteReady = true;
+        this.$checkOpen();
+    }
+
+    /**
+     * Sends data on one of the channels. Does nothing until the link is open.
+     * @param {'room' | 'reliable' | 'unreliable'} channel - The channel.
+     * @param {string | ArrayBuffer | ArrayBufferView} data - The data.
+     * @returns {void}
+     */
+    send(channel, data) {
+        if (this.open) this.transport.$send(this.peerId, channel, data);
+    }
+
+    /**
+     * Closes the link.
+     * @param {boolean} [notify=true] - Whether to tell the other end, which isn't needed when it closed the link.
+     * @returns {void}
+     */
+    close(notify = true) {
+        if (this.closed) return;
+        this.closed = true;
+        if (notify && this.$localReady) this.transport.$send(this.peerId, "close", new Uint8Array(0));
+        this.open = false;
+        if (this.transport.$links.get(this.peerId) === this) this.transport.$links.delete(this.peerId);
+        this.onclose();
+    }
+
+    /** @private */
+    $checkOpen() {
+        if (this.open || !this.$localReady || !this.$remoteReady) return;
+        this.open = true;
+        this.onopen();
+    }
+}
+
+export class MB_PeerLink {
+    /**
+     * Initializes a new instance of the MB_PeerLink class.
+     * A WebRTC connection to another player, with three data channels: `room` (the room's own messages),
+     * `reliable` (ordered, retransmitted) and `unreliable` (unordered, never retransmitted, for frequent state updates).
+     * Use `MB_Room` with an `MB_WebRTCTransport` rather than creating links directly.
+     * @param {Object} options - Configuration options for the link.
+     * @param {string} options.peerId - The ID of the other player.
+     * @param {boolean} options.initiator - Whether this end makes the offer and creates the data channels.
+     * @param {function(Object): RTCPeerConnection} options.createPeerConnection - Creates a peer connection from a configuration.
+     * @param {Object} [options.rtcConfiguration] - The peer connection's configuration (ICE servers...).
+     * @param {function(Object)} options.signal - Sends a signaling message (description or candidate) to the other player.
+     * @param {function()} [options.onopen] - Called once every data channel is open.
+     * @param {function()} [options.onclose] - Called once when the connection is closed or fails.
+     * @param {function('room' | 'reliable' | 'unreliable', *)} [options.onmessage] - Called with the channel and the data of each message.
+     * @returns {MB_PeerLink}
+     */
+    constructor(options) {
+        this.peerId = options.peerId;
+        this.initiator = options.initiator;
+        this.onopen = options.onopen || (() => {});
+        this.onclose = options.onclose || (() => {});
+        this.onmessage = options.onmessage || (() => {});
+        /** @private */
+        this.$signal = options.signal;
+        /** @type {Object<string, RTCDataChannel>} */
+        this.channels = {};
+        this.open = false;
+        this.closed = false;
+        /**
+         * ICE candidates received before the remote description, which can't be added yet.
+         * @private
+         */
+        this.$pendingCandidates = [];
+        this.connection = options.createPeerConnection(options.rtcConfiguration || {});
+        this.connection.onicecandidate = event => {
+            if (event.candidate) this.$signal({candidate: event.candidate.toJSON ? event.candidate.toJSON() : event.candidate});
+        };
+        this.connection.onconnectionstatechange = () => {
+            if (this.connection.connectionState === "failed" || this.connection.connectionState === "closed") this.close();
+        };
+        if (this.initiator) {
+            this.$setupChannel(this.connection.createDataChannel("room", {ordered: true}));
+            this.$setupChannel(this.connection.createDataChannel("reliable", {ordered: true}));
+            this.$setupChannel(this.connection.createDataChannel("unreliable", {ordered: false, maxRetransmits: 0}));
+            this.$offer();
+        } else {
+            this.connection.ondatachannel = event => this.$setupChannel(event.channel);
+        }
+    }
+
+    /**
+     * Handles a signaling message from the other player.
+     * @param {{description?: Object, candidate?: Object}} message - The message.
+     * @returns {Promise<void>}
+     */
+    async handleSignal(message) {
+        if (this.closed) return;
+        try {
+            if (message.description) {
+                await this.connection.setRemoteDescription(message.description);
+                if (message.description.type === "offer") {
+                    await this.connection.setLocalDescription(await this.connection.createAnswer());
+                    this.$signal({description: this.$describe(this.connection.localDescription)});
+                }
+                for (const candidate of this.$pendingCandidates.splice(0)) await this.connection.addIceCandidate(candidate);
+            } else if (message.candidate) {
+                if (this.connection.remoteDescription) await this.connection.addIceCandidate(message.candidate);
+                else this.$pendingCandidates.push(message.candidate);
+            }
+        } catch (error) {
+            console.error(`MB_PeerLink: Signaling with ${this.peerId} failed.`, error);
+            this.close();
+        }
+    }
+
+    /**
+     * Sends data on one of the channels. Does nothing until the link is open.
+     * @param {'room' | 'reliable' | 'unreliable'} channel - The channel.
+     * @param {string | ArrayBuffer | ArrayBufferView} data - The data.
+     * @returns {void}
+     */
+    send(channel, data) {
+        const dataChannel = this.channels[channel];
+        if (this.open && dataChannel.readyState === "open") dataChannel.send(data);
+    }
+
+    /**
+     * Closes the connection.
+     * @returns {void}
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.open = false;
+        Object.values(this.channels).forEach(channel => channel.close());
+        this.connection.close();
+        this.onclose();
+    }
+
+    /** @private */
+    async $offer() {
+        try {
+            await this.connection.setLocalDescription(await this.connection.createOffer());
+            this.$signal({description: this.$describe(this.connection.localDescription)});
+        } catch (error) {
+            console.error(`MB_PeerLink: Could not make an offer to ${this.peerId}.`, error);
+            this.close();
+        }
+    }
+
+    /** @private */
+    $describe(description) {
+        return {type: description.type, sdp: description.sdp};
+    }
+
+    /** @private */
+    $setupChannel(channel) {
+        channel.binaryType = "arraybuffer";
+        this.channels[channel.label] = channel;
+        channel.onmessage = event => this.onmessage(channel.label, event.data);
+        channel.onclose = () => this.close();
+        channel.onopen = () => {
+            const labels = ["room", "reliable", "unreliable"];
+            if (this.open || !labels.every(label => this.channels[label]?.readyState === "open")) return;
+            this.open = true;
+            this.onopen();
+        };
+    }
+}
+
+export class MB_Room {
+    /**
+     * Initializes a new instance of the MB_Room class.
+     * Use `MB_Room.host` or `MB_Room.join` rather than creating rooms directly.
+     * @param {Object} options - Configuration options for the room.
+     * @param {MB_SignalingTransport} options.transport - The signaling transport. The room closes it when it closes.
+     * @param {Object} [options.profile] - What the other players see of the local player (`name`...). Must be JSON-compatible.
+     * @param {'mesh' | 'star'} [options.topology="mesh"] - Whether every player connects to every other player, or only to the host.
+     * Set by the host; joining players follow the host's choice. In a star, players only exchange messages with the host,
+     * which relays what the others need to know.
+     * @param {number} [options.maxPlayers=8] - The number of players (host included) after which the host turns new players away.
+     * @param {Array<MB_LinkTransport>} [options.linkTransports] - The transports the local player can connect with, preferred first.
+     * Each link uses the first transport of the player asking for it that the other player has too, and the next one if it
+     * doesn't open in time. Defaults to WebRTC only.
+     * @param {function(Object): RTCPeerConnection} [options.createPeerConnection] - Creates a peer connection from a configuration,
+     * for the default WebRTC transport. Defaults to the platform's `RTCPeerConnection`.
+     * @param {Object} [options.rtcConfiguration] - The peer connections' configuration (ICE servers...), for the default WebRTC transport.
+     * @param {number} [options.joinTimeout=15000] - Time to wait for the host to let a player in, in milliseconds.
+     * @param {number} [options.linkTimeout=6000] - Time to wait for a link to open before trying the next transport, in milliseconds.
+     * @param {function(Array<Object>)} [options.onPlayersChange] - Called with the players whenever a player joins or leaves (see `players`).
+     * @param {function(Object)} [options.onPlayerJoin] - Called with a player who joined.
+     * @param {function(Object)} [options.onPlayerLeave] - Called with a player who left.
+     * @param {function(string, *, 'reliable' | 'unreliable')} [options.onMessage] - Called with the sender's peer ID, the data and the channel of each message.
+     * @param {function(string)} [options.onClose] - Called with the reason when the room closes (`left`, `closed` by the host,
+     * `host-left`, or `kicked` by the host).
+     * @returns {MB_Room}
+     */
+    constructor(options) {
+        this.transport = options.transport;
+        this.profile = options.profile || {};
+        this.topology = options.topology || "mesh";
+        this.maxPlayers = options.maxPlayers ?? 8;
+        this.linkTransports = options.linkTransports || [new MB_WebRTCTransport({
+            createPeerConnection: options.createPeerConnection,
+            rtcConfiguration: options.rtcConfiguration,
+        })];
+        this.joinTimeout = options.joinTimeout ?? 15000;
+        this.linkTimeout = options.linkTimeout ?? 6000;
+        this.onPlayersChange = options.onPlayersChange || (() => {});
+        this.onPlayerJoin = options.onPlayerJoin || (() => {});
+        this.onPlayerLeave = options.onPlayerLeave || (() => {});
+        this.onMessage = options.onMessage || (() => {});
+        this.onClose = options.onClose || (() => {});
+        /** The ID of the local player. */
+        this.peerId = randomString(12, "abcdefghijklmnopqrstuvwxyz0123456789");
+        /** @type {?string} */
+        this.code = null;
+        /** @type {?string} */
+        this.hostId = null;
+        this.closed = false;
+        /** Whether the host turns new players away. */
+        this.locked = false;
+        /**
+         * The players in the room, local player included, in the order they joined, with the kinds of link transports they have.
+         * @type {Array<{id: string, profile: Object, host: boolean, transports: Array<string>}>}
+         */
+        this.players = [];
+        /**
+         * The connections to other players, by peer ID.
+         * @type {Map<string, MB_PeerLink>}
+         */
+        this.links = new Map();
+        /**
+         * The players the host let in whose connection isn't open yet, by peer ID.
+         * @private
+         */
+        this.$pending = new Map();
+        /**
+         * The transports already tried for the links the local player asked for that haven't opened yet, by peer ID.
+         * @private
+         */
+        this.$attempts = new Map();
+        this.transport.onmessage = (from, message) => this.$handleSignal(from, message);
+        // Once connected, players don't need the signaling server anymore, only new players do
+        this.transport.onclose = () => {
+            if (this.$joined) this.$joined.reject(new MB_RoomError("signaling", "The signaling server closed the connection."));
+        };
+    }
+
+    /**
+     * Hosts a new room under a fresh join code.
+     * @param {Object} options - Configuration options for the room (see the constructor).
+     * @returns {Promise<MB_Room>}
+     */
+    static async host(options) {
+        const room = new MB_Room(options);
+        // Codes are random, so only try a few times before giving up on the signaling server
+        for (let attempt = 0; ; attempt++) {
+            const code = MB_JoinCode.generate();
+            try {
+                await room.transport.open(code, room.peerId, true);
+                room.code = code;
+                break;
+            } catch (error) {
+                if (error.code !== "code-taken" || attempt >= 4) throw error;
+            }
+        }
+        room.hostId = room.peerId;
+        room.$attachLinkTransports();
+        room.players = [{id: room.peerId, profile: room.profile, host: true, transports: room.$transportKinds}];
+        room.onPlayersChange(room.players);
+        return room;
+    }
+
+    /**
+     * Joins the room with a join code, once its host let the local player in and the connections are open.
+     * Rejects with an `MB_RoomError` if the room doesn't exist, is full, or runs another protocol version.
+     * @param {string} code - The join code, as typed by the player.
+     * @param {Object} options - Configuration options for the room (see the constructor).
+     * @returns {Promise<MB_Room>}
+     */
+    static async join(code, options) {
+        const room = new MB_Room(options);
+        room.code = MB_JoinCode.normalize(code);
+        if (!MB_JoinCode.isValid(room.code)) throw new MB_RoomError("room-not-found", `"${code}" is not a valid room code.`);
+        const {hostId} = await room.transport.open(room.code, room.peerId, false);
+        room.hostId = hostId;
+        room.$attachLinkTransports();
+        try {
+            await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => reject(new MB_RoomError("timeout", "The host did not let you in.")), room.joinTimeout);
+                room.$joined = {
+                    resolve: () => {
+                        clearTimeout(timeout);
+                        resolve();
+                    },
+                    reject: error => {
+                        clearTimeout(timeout);
+                        reject(error);
+                    },
+                };
+                room.transport.send(hostId, {type: "hello", version: MB_ROOM_PROTOCOL_VERSION, profile: room.profile, transports: room.$transportKinds});
+            });
+        } catch (error) {
+            room.close("left");
+            throw error;
+        } finally {
+            room.$joined = null;
+        }
+        return room;
+    }
+
+    /**
+     * Whether the local player hosts the room.
+     * @returns {boolean}
+     */
+    get isHost() {
+        return this.hostId === this.peerId;
+    }
+
+    /**
+     * Sends data to another player. In a star, players other than the host can only send to the host.
+     * @param {string} peerId - The ID of the recipient.
+     * @param {string | ArrayBuffer | ArrayBufferView} data - The data.
+     * @param {'reliable' | 'unreliable'} [channel="reliable"] - The channel to send it on.
+     * @returns {void}
+     */
+    send(peerId, data, channel = "reliable") {
+        const link = this.links.get(peerId);
+        if (link) link.send(channel, data);
+    }
+
+    /**
+     * Sends data to every player connected to the local player.
+     * @param {string | ArrayBuffer | ArrayBufferView} data - The data.
+     * @param {'reliable' | 'unreliable'} [channel="reliable"] - The channel to send it on.
+     * @returns {void}
+     */
+    broadcast(data, channel = "reliable") {
+        this.links.forEach(link => link.send(channel, data));
+    }
+
+    /**
+     * Lets new players in, or turns them away. Only the host can lock the room.
+     * @param {boolean} locked - Whether the room is locked.
+     * @returns {void}
+     */
+    lock(locked) {
+        if (this.isHost) this.locked = locked;
+    }
+
+    /**
+     * Sends a player out of the room. Only the host can kick players.
+     * @param {string} peerId - The ID of the player.
+     * @returns {void}
+     */
+    kick(peerId) {
+        if (!this.isHost || peerId === this.peerId) return;
+        const link = this.links.get(peerId);
+        this.$pending.delete(peerId);
+        const player = this.players.find(player => player.id === peerId);
+        if (player) {
+            this.players = this.players.filter(other => other !== player);
+            this.$broadcastPlayers();
+            this.onPlayerLeave(player);
+            this.onPlayersChange(this.players);
+        }
+        if (!link) return;
+        link.send("room", JSON.stringify({type: "kicked"}));
+        // Give the message time to arrive, in case the player doesn't leave on its own
+        setTimeout(() => link.close(), 1000);
+    }
+
+    /**
+     * Leaves the room. When the host leaves, the room is closed for everyone.
+     * @param {string} [reason="left"] - The reason passed to `onClose`.
+     * @returns {void}
+     */
+    close(reason = "left") {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.isHost) this.$broadcastRoom({type: "closed"});
+        this.links.forEach(link => link.close());
+        this.links.clear();
+        this.$pending.clear();
+        this.$attempts.clear();
+        this.linkTransports.forEach(transport => transport.detach());
+        this.transport.close();
+        if (this.$joined) this.$joined.reject(new MB_RoomError("rejected", "The room was closed."));
+        this.onClose(reason);
+    }
+
+    /** @private */
+    $handleSignal(from, message) {
+        if (this.closed) return;
+        switch (message.type) {
+            case "hello":
+                if (this.isHost) this.$admit(from, message);
+                break;
+            case "welcome":
+                if (from === this.hostId && this.$joined) this.$welcome(message);
+                break;
+            case "reject":
+                if (from === this.hostId && this.$joined) this.$joined.reject(new MB_RoomError(message.code, message.message));
+                break;
+            case "connect": {
+                // Links are asked for by players who joined later, or again with another transport
+                const transport = this.linkTransports.find(transport => transport.kind === message.transport);
+                if (!transport || !this.$acceptsLinkFrom(from)) break;
+                const previous = this.links.get(from);
+                if (previous && previous.open) break;
+                this.$createLink(from, false, transport);
+                if (previous) previous.close();
+                break;
+            }
+            case "link":
+                this.links.get(from)?.handleSignal(message.data);
+                break;
+        }
+    }
+
+    /**
+     * Lets a player in, or turns them away.
+     * @private
+     */
+    $admit(from, message) {
+        const reject = (code, text) => this.transport.send(from, {type: "reject", code: code, message: text});
+        if (message.version !== MB_ROOM_PROTOCOL_VERSION) {
+            reject("version-mismatch", `The host runs version ${MB_ROOM_PROTOCOL_VERSION} of the room protocol, and you run version ${message.version}.`);
+            return;
+        }
+        const transports = Array.isArray(message.transports) ? message.transports : [];
+        if (!this.$transportKinds.some(kind => transports.includes(kind))) {
+            reject("no-transport", `The host can only connect through ${this.$transportKinds.join(" or ")}.`);
+            return;
+        }
+        if (this.locked) {
+            reject("room-locked", "The room is locked.");
+            return;
+        }
+        if (this.players.length + this.$pending.size >= this.maxPlayers) {
+            reject("room-full", "The room is full.");
+            return;
+        }
+        this.$pending.set(from, {id: from, profile: message.profile || {}, host: false, transports: transports});
+        this.transport.send(from, {type: "welcome", topology: this.topology, players: this.players});
+        // Free the slot of a player whose connection never opens
+        setTimeout(() => {
+            if (!this.$pending.has(from)) return;
+            this.$pending.delete(from);
+            if (this.links.has(from)) this.links.get(from).close();
+        }, this.joinTimeout);
+    }
+
+    /**
+     * Connects to the host and, in a mesh, to every other player.
+     * @private
+     */
+    $welcome(message) {
+        this.topology = message.topology;
+        this.players = message.players;
+        const peers = this.topology === "mesh" ? this.players : this.players.filter(player => player.id === this.hostId);
+        peers.forEach(player => this.$connect(player));
+    }
+
+    /**
+     * Asks another player for a link, with the first transport both have that wasn't tried yet.
+     * @private
+     * @returns {boolean} Whether there was a transport left to try.
+     */
+    $connect(player) {
+        const tried = this.$attempts.get(player.id) || [];
+        const transport = this.linkTransports.find(transport => !tried.includes(transport.kind) && (player.transports || []).includes(transport.kind));
+        if (!transport) {
+            this.$attempts.delete(player.id);
+            return false;
+        }
+        this.$attempts.set(player.id, [...tried, transport.kind]);
+        this.transport.send(player.id, {type: "connect", transport: transport.kind});
+        const link = this.$createLink(player.id, true, transport);
+        setTimeout(() => {
+            if (this.links.get(player.id) === link && !link.open) link.close();
+        }, this.linkTimeout);
+        return true;
+    }
+
+    /**
+     * Gives the link transports the room's join code, once it has one.
+     * @private
+     */
+    $attachLinkTransports() {
+        this.linkTransports.forEach(transport => transport.attach(this.code, this.peerId));
+    }
+
+    /**
+     * The kinds of link transports the local player has, preferred first.
+     * @private
+     */
+    get $transportKinds() {
+        return this.linkTransports.map(transport => transport.kind);
+    }
+
+    /**
+     * The host only accepts the players it let in. In a mesh, the other players accept anyone in the room, since a new player
+     * may connect to them before the host's list mentions it; the list later closes the links to anyone who isn't a player.
+     * @private
+     */
+    $acceptsLinkFrom(peerId) {
+        if (this.isHost) return this.$pending.has(peerId);
+        return this.topology === "mesh";
+    }
+
+    /** @private */
+    $createLink(peerId, initiator, transport) {
+        const link = transport.createLink({
+            peerId: peerId,
+            initiator: initiator,
+            signal: message => this.transport.send(peerId, {type: "link", data: message}),
+            onopen: () => this.$onLinkOpen(link),
+            onclose: () => this.$onLinkClose(link),
+            onmessage: (channel, data) => {
+                if (channel === "room") this.$handleRoomMessage(link, data);
+                else this.onMessage(peerId, data, channel);
+            },
+        });
+        this.links.set(peerId, link);
+        return link;
+    }
+
+    /** @private */
+    $onLinkOpen(link) {
+        this.$attempts.delete(link.peerId);
+        if (this.isHost) {
+            const player = this.$pending.get(link.peerId);
+            if (!player) return;
+            this.$pending.delete(link.peerId);
+            this.players.push(player);
+            this.$broadcastPlayers();
+            this.onPlayerJoin(player);
+            this.onPlayersChange(this.players);
+        } else if (link.peerId === this.hostId && this.$joined) {
+            // In a mesh, the other players' connections open on their own time
+            this.$joined.resolve();
+        }
+    }
+
+    /** @private */
+    $onLinkClose(link) {
+        if (this.links.get(link.peerId) !== link) return;
+        this.links.delete(link.peerId);
+        if (this.closed) return;
+        // A link that never opened is tried again with the next transport
+        const player = [...this.players, ...this.$pending.values()].find(player => player.id === link.peerId);
+        if (link.initiator && this.$attempts.has(link.peerId) && player && this.$connect(player)) return;
+        if (this.isHost) {
+            // Pending players keep their slot until they time out, since they may ask again with another transport
+            if (!player || this.$pending.has(link.peerId)) return;
+            this.players = this.players.filter(other => other !== player);
+            this.$broadcastPlayers();
+            this.onPlayerLeave(player);
+            this.onPlayersChange(this.players);
+        } else if (link.peerId === this.hostId) {
+            this.close("host-left");
+        }
+    }
+
+    /** @private */
+    $handleRoomMessage(link, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            console.warn(`MB_Room: Ignored a malformed room message from ${link.peerId}.`, error);
+            return;
+        }
+        // Only the host speaks for the room
+        if (link.peerId !== this.hostId) return;
+        switch (message.type) {
+            case "players":
+                this.$setPlayers(message.players, message.pending);
+                break;
+            case "closed":
+                this.close("closed");
+                break;
+            case "kicked":
+                this.close("kicked");
+                break;
+        }
+    }
+
+    /**
+     * Replaces the players with the host's list, and reports who joined and left.
+     * @private
+     */
+    $setPlayers(players, pending = []) {
+        const before = new Map(this.players.map(player => [player.id, player]));
+        const after = new Map(players.map(player => [player.id, player]));
+        this.players = players;
+        this.links.forEach(link => {
+            if (!after.has(link.peerId) && !pending.includes(link.peerId)) link.close();
+        });
+        players.filter(player => !before.has(player.id) && player.id !== this.peerId).forEach(player => this.onPlayerJoin(player));
+        [...before.values()].filter(player => !after.has(player.id)).forEach(player => this.onPlayerLeave(player));
+        this.onPlayersChange(this.players);
+    }
+
+    /** @private */
+    $broadcastPlayers() {
+        // The pending players are listed too, so the other players keep the links they already opened with them
+        const pending = [...this.$pending.keys()];
+        this.$broadcastRoom({type: "players", players: this.players, pending: pending});
+    }
+
+    /** @private */
+    $broadcastRoom(message) {
+        const text = JSON.stringify(message);
+        this.links.forEach(link => link.send("room", text));
+    }
+}
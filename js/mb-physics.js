@@ -0,0 +1,610 @@
+/*
+ * Deterministic rolling-marble physics.
+ *
+ * This module has no dependency on THREE.js or the DOM so that it can run headless under Node
+ * (for tests, replay verification or a dedicated server). Vectors are plain `[x, y, z]` arrays,
+ * quaternions are `[x, y, z, w]` arrays and matrices are column-major 16-element arrays
+ * (the same layout as `THREE.Matrix4.elements`).
+ *
+ * The simulation only advances in fixed steps, and iterates over marbles and colliders in
+ * insertion order, so the same level and the same per-step inputs always produce the same result.
+ */
+
+/**
+ * The version of the simulation. Bump it whenever a change makes the same inputs play out differently,
+ * so recordings made with another version (see mb-replay.js) are known not to play back.
+ */
+export const MB_PHYSICS_VERSION = 1;
+
+/** The default fixed step length of `MB_PhysicsWorld`, in seconds. Recordings (see mb-replay.js) only play back at it. */
+export const MB_PHYSICS_TIMESTEP = 1 / 120;
+
+/**
+ * Deterministic pseudo-random number generator (mulberry32).
+ * Anything in the simulation that needs randomness must use this instead of `Math.random()`.
+ */
+export class MB_SeededRandom {
+    /**
+     * Initializes a new instance of the MB_SeededRandom class.
+     * @param {number} [seed=0] - The seed. Two generators with the same seed return the same sequence.
+     * @returns {MB_SeededRandom}
+     */
+    constructor(seed = 0) {
+        /** @private */
+        this.$state = seed >>> 0;
+    }
+
+    /**
+     * Returns the next number in the sequence, between 0 (inclusive) and 1 (exclusive).
+     * @returns {number}
+     */
+    next() {
+        let t = this.$state = (this.$state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+}
+
+function sub(a, b) {
+    return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+    return [
+        a[1] * b[2] - a[2] * b[1],
+        a[2] * b[0] - a[0] * b[2],
+        a[0] * b[1] - a[1] * b[0],
+    ];
+}
+
+function length(a) {
+    return Math.sqrt(dot(a, a));
+}
+
+function addScaled(target, v, s) {
+    target[0] += v[0] * s;
+    target[1] += v[1] * s;
+    target[2] += v[2] * s;
+}
+
+function transformPoint(m, x, y, z) {
+    return [
+        m[0] * x + m[4] * y + m[8] * z + m[12],
+        m[1] * x + m[5] * y + m[9] * z + m[13],
+        m[2] * x + m[6] * y + m[10] * z + m[14],
+    ];
+}
+
+/**
+ * Returns the point of triangle (a, b, c) closest to p.
+ * From "Real-Time Collision Detection" (Ericson), section 5.1.5.
+ * @private
+ */
+function closestPointOnTriangle(p, a, b, c) {
+    const ab = sub(b, a), ac = sub(c, a), ap = sub(p, a);
+    const d1 = dot(ab, ap), d2 = dot(ac, ap);
+    if (d1 <= 0 && d2 <= 0) return a;
+    const bp = sub(p, b);
+    const d3 = dot(ab, bp), d4 = dot(ac, bp);
+    if (d3 >= 0 && d4 <= d3) return b;
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        const v = d1 / (d1 - d3);
+        return [a[0] + ab[0] * v, a[1] + ab[1] * v, a[2] + ab[2] * v];
+    }
+    const cp = sub(p, c);
+    const d5 = dot(ab, cp), d6 = dot(ac, cp);
+    if (d6 >= 0 && d5 <= d6) return c;
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        const w = d2 / (d2 - d6);
+        return [a[0] + ac[0] * w, a[1] + ac[1] * w, a[2] + ac[2] * w];
+    }
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+        const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        return [b[0] + (c[0] - b[0]) * w, b[1] + (c[1] - b[1]) * w, b[2] + (c[2] - b[2]) * w];
+    }
+    const denom = 1 / (va + vb + vc);
+    const v = vb * denom, w = vc * denom;
+    return [
+        a[0] + ab[0] * v + ac[0] * w,
+        a[1] + ab[1] * v + ac[1] * w,
+        a[2] + ab[2] * v + ac[2] * w,
+    ];
+}
+
+export class MB_PhysicsCollider {
+    /**
+     * Initializes a new instance of the MB_PhysicsCollider class.
+     * Use `MB_PhysicsWorld.addTriangleMesh` rather than creating colliders directly.
+     * @param {Object} options - Configuration options for the collider.
+     * @param {ArrayLike<number>} options.positions - Vertex positions, as x, y, z triplets.
+     * @param {ArrayLike<number>} [options.indices] - Triangle indices. If omitted, every three vertices form a triangle.
+     * @param {Array<number>} [options.matrix] - Column-major 4x4 matrix transforming the vertices to world space.
+     * @param {number} [options.friction=.6] - Coulomb friction coefficient of the surface.
+     * @param {number} [options.restitution=.3] - Bounciness of the surface, between 0 and 1.
+     * @param {*} [options.id] - Identifies the collider in collision events (e.g. the level object ID).
+     * @returns {MB_PhysicsCollider}
+     */
+    constructor(options) {
+        this.id = options.id;
+        this.friction = options.friction ?? .6;
+        this.restitution = options.restitution ?? .3;
+        /** @private */
+        this.$positions = options.positions;
+        /** @private */
+        this.$indices = options.indices || Array.from({length: options.positions.length / 3}, (_, i) => i);
+        /** Velocity of a moving collider, in m/s. Only its translation is taken into account. */
+        this.velocity = [0, 0, 0];
+        this.setMatrix(options.matrix || [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]);
+    }
+
+    /**
+     * Moves the collider's vertices to world space with a new matrix.
+     * Use `MB_PhysicsWorld.moveCollider` for colliders that are in a world.
+     * @param {Array<number>} matrix - Column-major 4x4 matrix transforming the vertices to world space.
+     * @returns {void}
+     */
+    setMatrix(matrix) {
+        const m = matrix;
+        const positions = this.$positions;
+        const indices = this.$indices;
+        this.matrix = [...m];
+        /** @type {Array<{a: Array<number>, b: Array<number>, c: Array<number>, normal: Array<number>, min: Array<number>, max: Array<number>}>} */
+        this.triangles = [];
+        for (let i = 0; i + 2 < indices.length; i += 3) {
+            const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]].map(index =>
+                transformPoint(m, positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2])
+            );
+            const normal = cross(sub(b, a), sub(c, a));
+            const area = length(normal);
+            if (area < 1e-12) continue; // Degenerate triangle
+            this.triangles.push({
+                a, b, c,
+                normal: [normal[0] / area, normal[1] / area, normal[2] / area],
+                min: [Math.min(a[0], b[0], c[0]), Math.min(a[1], b[1], c[1]), Math.min(a[2], b[2], c[2])],
+                max: [Math.max(a[0], b[0], c[0]), Math.max(a[1], b[1], c[1]), Math.max(a[2], b[2], c[2])],
+            });
+        }
+    }
+}
+
+export class MB_PhysicsMarble {
+    /**
+     * Initializes a new instance of the MB_PhysicsMarble class.
+     * Use `MB_PhysicsWorld.addMarble` rather than creating marbles directly.
+     * @param {Object} options - Configuration options for the marble.
+     * @param {Array<number>} [options.position=[0, 0, 0]] - The starting position.
+     * @param {number} [options.radius=.5] - The radius, in meters.
+     * @param {number} [options.mass=1] - The mass, in kilograms.
+     * @param {number} [options.rollAcceleration=40] - Angular acceleration (rad/s²) applied at full input.
+     * @param {number} [options.maxAngularSpeed=60] - Angular speed (rad/s) above which input torque stops accelerating the marble.
+     * @param {number} [options.airAcceleration=4] - Acceleration (m/s²) applied at full input while airborne.
+     * @param {number} [options.rollingResistance=.4] - How quickly a rolling marble slows down on its own.
+     * @param {*} [options.id] - Identifies the marble (e.g. the player ID).
+     * @returns {MB_PhysicsMarble}
+     */
+    constructor(options = {}) {
+        this.id = options.id;
+        this.radius = options.radius ?? .5;
+        this.mass = options.mass ?? 1;
+        this.rollAcceleration = options.rollAcceleration ?? 40;
+        this.maxAngularSpeed = options.maxAngularSpeed ?? 60;
+        this.airAcceleration = options.airAcceleration ?? 4;
+        this.rollingResistance = options.rollingResistance ?? .4;
+        /** Moment of inertia of a solid sphere. */
+        this.inertia = .4 * this.mass * this.radius * this.radius;
+        /**
+         * The movement input for the next steps. `x` rolls right and `y` rolls forward, both between -1 and 1,
+         * relative to the direction given by `yaw` (radians around the Y axis, 0 facing -Z).
+         * @type {{x: number, y: number, yaw: number}}
+         */
+        this.input = {x: 0, y: 0, yaw: 0};
+        /** Frozen marbles are not simulated (e.g. during a race countdown), but other marbles still collide with them. */
+        this.frozen = false;
+        this.reset(options.position || [0, 0, 0]);
+    }
+
+    /**
+     * Places the marble at a position, at rest.
+     * @param {Array<number>} position - The position.
+     * @returns {void}
+     */
+    reset(position) {
+        this.position = [...position];
+        this.previousPosition = [...position];
+        this.velocity = [0, 0, 0];
+        this.angularVelocity = [0, 0, 0];
+        this.orientation = [0, 0, 0, 1];
+        this.previousOrientation = [0, 0, 0, 1];
+        /** Whether the marble touched walkable ground during the last step. */
+        this.grounded = false;
+        /** The normal of the ground touched during the last step, if any. */
+        this.groundNormal = [0, 1, 0];
+        /**
+         * The collider of the ground touched during the last step, if any (e.g. to tell the surface it rolls on).
+         * @type {?MB_PhysicsCollider}
+         */
+        this.ground = null;
+    }
+
+    /**
+     * Sets the movement input applied to the marble on the next steps.
+     * @param {number} x - Sideways input, between -1 (left) and 1 (right).
+     * @param {number} y - Forward input, between -1 (backward) and 1 (forward).
+     * @param {number} [yaw=0] - The direction considered "forward", in radians around the Y axis (usually the camera's).
+     * @returns {void}
+     */
+    setInput(x, y, yaw = 0) {
+        this.input.x = x;
+        this.input.y = y;
+        this.input.yaw = yaw;
+    }
+
+    /**
+     * Instantly changes the marble's velocity.
+     * @param {Array<number>} impulse - The impulse, in kg·m/s.
+     * @returns {void}
+     */
+    applyImpulse(impulse) {
+        addScaled(this.velocity, impulse, 1 / this.mass);
+    }
+}
+
+export class MB_PhysicsWorld {
+    /**
+     * Initializes a new instance of the MB_PhysicsWorld class.
+     * @param {Object} [options] - Configuration options for the world.
+     * @param {number} [options.gravity=9.81] - Downward acceleration, in m/s².
+     * @param {number} [options.timestep=MB_PHYSICS_TIMESTEP] - The fixed step length, in seconds.
+     * @param {number} [options.maxStepsPerUpdate=8] - Steps simulated at most per `step()` call, so a long frame can't stall the game.
+     * @param {number} [options.cellSize=4] - Size of the broad-phase grid cells, in meters.
+     * @param {function(Object)} [options.onCollision] - Called when a marble hits a surface or another marble hard enough to matter.
+     * @param {number} [options.seed=0] - The seed of `random`.
+     * @returns {MB_PhysicsWorld}
+     */
+    constructor(options = {}) {
+        this.gravity = options.gravity ?? 9.81;
+        this.timestep = options.timestep ?? MB_PHYSICS_TIMESTEP;
+        this.maxStepsPerUpdate = options.maxStepsPerUpdate ?? 8;
+        this.cellSize = options.cellSize ?? 4;
+        /**
+         * Called with `{marble, other, normal, speed}` when a marble hits something at more than `impactThreshold` m/s.
+         * `other` is the MB_PhysicsCollider or MB_PhysicsMarble that was hit.
+         * @type {function(Object)}
+         */
+        this.onCollision = options.onCollision || (() => {});
+        /**
+         * Called with the step number before every fixed step. Inputs should be sampled here
+         * for replays and network play to be reproducible.
+         * @type {function(number)}
+         */
+        this.onBeforeStep = () => {};
+        /**
+         * Called with the step number after every fixed step. Gameplay rules (triggers, timers...)
+         * should be evaluated here, so they advance in lockstep with the simulation.
+         * @type {function(number)}
+         */
+        this.onAfterStep = () => {};
+        this.impactThreshold = 1;
+        this.setSeed(options.seed ?? 0);
+        /** Number of fixed steps simulated so far. */
+        this.tick = 0;
+        /** @type {Array<MB_PhysicsMarble>} */
+        this.marbles = [];
+        /** @type {Array<MB_PhysicsCollider>} */
+        this.colliders = [];
+        /** @private */
+        this.$accumulator = 0;
+        /** @private */
+        this.$grid = new Map();
+    }
+
+    /**
+     * How far between the last two steps the current time is, between 0 and 1.
+     * Use it to interpolate between `previousPosition` and `position` when rendering.
+     * @returns {number}
+     */
+    get alpha() {
+        return this.$accumulator / this.timestep;
+    }
+
+    /**
+     * Adds a static triangle mesh to the world.
+     * @param {Object} options - See MB_PhysicsCollider.
+     * @returns {MB_PhysicsCollider}
+     */
+    addTriangleMesh(options) {
+        const collider = new MB_PhysicsCollider(options);
+        this.colliders.push(collider);
+        this.$addToGrid(collider);
+        return collider;
+    }
+
+    /**
+     * Moves a collider (e.g. a moving platform). Call it from `onBeforeStep`, once per step:
+     * the collider's velocity is derived from how far it moved since the last step,
+     * so marbles resting on it are carried along.
+     * @param {MB_PhysicsCollider} collider - The collider to move.
+     * @param {Array<number>} matrix - Its new column-major 4x4 world matrix.
+     * @param {boolean} [teleport=false] - Whether to move the collider without giving it a velocity (e.g. when restarting).
+     * @returns {void}
+     */
+    moveCollider(collider, matrix, teleport = false) {
+        const previous = collider.matrix;
+        collider.velocity = teleport ? [0, 0, 0] : [12, 13, 14].map(i => (matrix[i] - previous[i]) / this.timestep);
+        this.$removeFromGrid(collider);
+        collider.setMatrix(matrix);
+        this.$addToGrid(collider);
+    }
+
+    /**
+     * Removes a collider from the world.
+     * @param {MB_PhysicsCollider} collider - The collider to remove.
+     * @returns {void}
+     */
+    removeCollider(collider) {
+        this.colliders = this.colliders.filter(c => c !== collider);
+        this.$removeFromGrid(collider);
+    }
+
+    /**
+     * Starts the world's random sequence over from a seed (e.g. when a run restarts).
+     * @param {number} seed - The seed, a 32-bit unsigned integer.
+     * @returns {void}
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        /**
+         * The generator anything random in the simulation draws from, so the same seed and inputs always play out the same.
+         * @type {MB_SeededRandom}
+         */
+        this.random = new MB_SeededRandom(this.seed);
+    }
+
+    /**
+     * Adds a marble to the world.
+     * @param {Object} [options] - See MB_PhysicsMarble.
+     * @returns {MB_PhysicsMarble}
+     */
+    addMarble(options) {
+        const marble = new MB_PhysicsMarble(options);
+        this.marbles.push(marble);
+        return marble;
+    }
+
+    /**
+     * Removes a marble from the world.
+     * @param {MB_PhysicsMarble} marble - The marble to remove.
+     * @returns {void}
+     */
+    removeMarble(marble) {
+        this.marbles = this.marbles.filter(m => m !== marble);
+    }
+
+    /**
+     * Advances the simulation by `deltaTime`, in as many fixed steps as fit.
+     * The remainder is carried over to the next call.
+     * @param {number} deltaTime - The time elapsed since the last call, in seconds.
+     * @returns {number} The number of fixed steps simulated.
+     */
+    step(deltaTime) {
+        this.$accumulator += deltaTime;
+        let steps = 0;
+        while (this.$accumulator >= this.timestep && steps < this.maxStepsPerUpdate) {
+            this.stepFixed();
+            this.$accumulator -= this.timestep;
+            steps++;
+        }
+        // Drop the time we could not simulate rather than spiraling further behind
+        if (steps === this.maxStepsPerUpdate) this.$accumulator = Math.min(this.$accumulator, this.timestep);
+        return steps;
+    }
+
+    /**
+     * Simulates exactly one fixed step.
+     * @returns {void}
+     */
+    stepFixed() {
+        this.onBeforeStep(this.tick);
+        const h = this.timestep;
+        for (const marble of this.marbles) {
+            marble.previousPosition = [...marble.position];
+            marble.previousOrientation = [...marble.orientation];
+            if (marble.frozen) continue;
+            this.$applyInput(marble, h);
+            marble.velocity[1] -= this.gravity * h;
+            addScaled(marble.position, marble.velocity, h);
+            this.$collideWithLevel(marble);
+            if (marble.grounded) this.$applyRollingResistance(marble, h);
+            this.$integrateOrientation(marble, h);
+        }
+        this.$collideMarbles();
+        this.tick++;
+        this.onAfterStep(this.tick);
+    }
+
+    /** @private */
+    $addToGrid(collider) {
+        collider.triangles.forEach(triangle => {
+            this.$forEachCell(triangle.min, triangle.max, key => {
+                if (!this.$grid.has(key)) this.$grid.set(key, []);
+                this.$grid.get(key).push({collider, triangle});
+            });
+        });
+    }
+
+    /** @private */
+    $removeFromGrid(collider) {
+        // Only visit the cells the collider's triangles were added to
+        const keys = new Set();
+        collider.triangles.forEach(triangle => this.$forEachCell(triangle.min, triangle.max, key => keys.add(key)));
+        keys.forEach(key => {
+            const entries = this.$grid.get(key);
+            if (!entries) return;
+            const remaining = entries.filter(entry => entry.collider !== collider);
+            if (remaining.length) this.$grid.set(key, remaining);
+            else this.$grid.delete(key);
+        });
+    }
+
+    /** @private */
+    $forEachCell(min, max, callback) {
+        const s = this.cellSize;
+        for (let x = Math.floor(min[0] / s); x <= Math.floor(max[0] / s); x++) {
+            for (let y = Math.floor(min[1] / s); y <= Math.floor(max[1] / s); y++) {
+                for (let z = Math.floor(min[2] / s); z <= Math.floor(max[2] / s); z++) {
+                    callback(`${x},${y},${z}`);
+                }
+            }
+        }
+    }
+
+    /** @private */
+    $applyInput(marble, h) {
+        let {x, y, yaw} = marble.input;
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude > 1) {
+            x /= magnitude;
+            y /= magnitude;
+        }
+        if (!x && !y) return;
+        const sin = Math.sin(yaw), cos = Math.cos(yaw);
+        // Forward is -Z at yaw 0, right is +X
+        const direction = [cos * x - sin * y, 0, -sin * x - cos * y];
+        // Rolling towards `direction` means spinning around up × direction
+        const axis = [direction[2], 0, -direction[0]];
+        const w = marble.angularVelocity;
+        const spin = dot(w, axis) / (length(axis) || 1);
+        if (spin < marble.maxAngularSpeed) addScaled(w, axis, marble.rollAcceleration * h);
+        if (!marble.grounded) addScaled(marble.velocity, direction, marble.airAcceleration * h);
+    }
+
+    /** @private */
+    $collideWithLevel(marble) {
+        const r = marble.radius;
+        const p = marble.position;
+        const candidates = new Set();
+        this.$forEachCell([p[0] - r, p[1] - r, p[2] - r], [p[0] + r, p[1] + r, p[2] + r], key => {
+            const entries = this.$grid.get(key);
+            if (entries) entries.forEach(entry => candidates.add(entry));
+        });
+        marble.grounded = false;
+        marble.ground = null;
+        for (const {collider, triangle} of candidates) {
+            if (
+                p[0] + r < triangle.min[0] || p[0] - r > triangle.max[0] ||
+                p[1] + r < triangle.min[1] || p[1] - r > triangle.max[1] ||
+                p[2] + r < triangle.min[2] || p[2] - r > triangle.max[2]
+            ) continue;
+            const closest = closestPointOnTriangle(p, triangle.a, triangle.b, triangle.c);
+            const offset = sub(p, closest);
+            const distance = length(offset);
+            if (distance >= r) continue;
+            const normal = distance > 1e-9 ? [offset[0] / distance, offset[1] / distance, offset[2] / distance] : triangle.normal;
+            addScaled(p, normal, r - distance);
+            this.$resolveContact(marble, normal, collider);
+        }
+    }
+
+    /** @private */
+    $resolveContact(marble, normal, collider) {
+        const m = marble.mass;
+        const v = marble.velocity;
+        const w = marble.angularVelocity;
+        const contactArm = [-normal[0] * marble.radius, -normal[1] * marble.radius, -normal[2] * marble.radius];
+        // Work relative to the surface, which may be moving
+        const relative = sub(v, collider.velocity);
+        const approach = dot(relative, normal);
+        if (normal[1] > .5) {
+            marble.grounded = true;
+            marble.groundNormal = normal;
+            marble.ground = collider;
+        }
+        if (approach >= 0) return;
+        if (-approach > this.impactThreshold) {
+            this.onCollision({marble, other: collider, normal, speed: -approach});
+        }
+        // Don't bounce on slow contacts, so resting marbles don't jitter
+        const restitution = -approach > 1 ? collider.restitution : 0;
+        const normalImpulse = -(1 + restitution) * approach * m;
+        addScaled(v, normal, normalImpulse / m);
+        addScaled(relative, normal, normalImpulse / m);
+
+        // Friction at the contact point couples sliding and spinning into rolling
+        const contactVelocity = [...relative];
+        addScaled(contactVelocity, cross(w, contactArm), 1);
+        const slip = [...contactVelocity];
+        addScaled(slip, normal, -dot(contactVelocity, normal));
+        const slipSpeed = length(slip);
+        if (slipSpeed < 1e-9) return;
+        // Effective mass of a solid sphere's contact point against tangential impulses: 2m/7
+        const maxImpulse = collider.friction * normalImpulse;
+        const impulseMagnitude = Math.min(slipSpeed * (2 * m / 7), maxImpulse);
+        const impulse = [-slip[0] / slipSpeed * impulseMagnitude, -slip[1] / slipSpeed * impulseMagnitude, -slip[2] / slipSpeed * impulseMagnitude];
+        addScaled(v, impulse, 1 / m);
+        addScaled(w, cross(contactArm, impulse), 1 / marble.inertia);
+    }
+
+    /** @private */
+    $applyRollingResistance(marble, h) {
+        const damping = Math.max(0, 1 - marble.rollingResistance * h);
+        const v = marble.velocity;
+        const n = marble.groundNormal;
+        const along = dot(v, n);
+        for (let i = 0; i < 3; i++) {
+            v[i] = (v[i] - n[i] * along) * damping + n[i] * along;
+            marble.angularVelocity[i] *= damping;
+        }
+    }
+
+    /** @private */
+    $integrateOrientation(marble, h) {
+        const [wx, wy, wz] = marble.angularVelocity;
+        const q = marble.orientation;
+        const [qx, qy, qz, qw] = q;
+        q[0] += .5 * h * (wx * qw + wy * qz - wz * qy);
+        q[1] += .5 * h * (wy * qw + wz * qx - wx * qz);
+        q[2] += .5 * h * (wz * qw + wx * qy - wy * qx);
+        q[3] += .5 * h * (-wx * qx - wy * qy - wz * qz);
+        const norm = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2] + q[3] * q[3]);
+        for (let i = 0; i < 4; i++) q[i] /= norm;
+    }
+
+    /** @private */
+    $collideMarbles() {
+        for (let i = 0; i < this.marbles.length; i++) {
+            for (let j = i + 1; j < this.marbles.length; j++) {
+                const a = this.marbles[i], b = this.marbles[j];
+                const offset = sub(b.position, a.position);
+                const distance = length(offset);
+                const minDistance = a.radius + b.radius;
+                if (distance >= minDistance || distance < 1e-9) continue;
+                const normal = [offset[0] / distance, offset[1] / distance, offset[2] / distance];
+                // Frozen marbles behave as if they were infinitely heavy
+                const inverseMassA = a.frozen ? 0 : 1 / a.mass;
+                const inverseMassB = b.frozen ? 0 : 1 / b.mass;
+                const totalInverseMass = inverseMassA + inverseMassB;
+                if (!totalInverseMass) continue;
+                const overlap = minDistance - distance;
+                addScaled(a.position, normal, -overlap * inverseMassA / totalInverseMass);
+                addScaled(b.position, normal, overlap * inverseMassB / totalInverseMass);
+                const approach = dot(sub(a.velocity, b.velocity), normal);
+                if (approach <= 0) continue;
+                if (approach > this.impactThreshold) {
+                    this.onCollision({marble: a, other: b, normal, speed: approach});
+                    this.onCollision({marble: b, other: a, normal: [-normal[0], -normal[1], -normal[2]], speed: approach});
+                }
+                const impulse = (1 + .5) * approach / totalInverseMass;
+                addScaled(a.velocity, normal, -impulse * inverseMassA);
+                addScaled(b.velocity, normal, impulse * inverseMassB);
+            }
+        }
+    }
+}
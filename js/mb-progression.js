@@ -0,0 +1,440 @@
+/*
+ * Progression: what a player achieved on every level, and what it unlocked.
+ *
+ * An `MB_Progress` is kept on every device the player plays on, and synced to their account through an
+ * `MB_ProgressStore`: `MB_SupabaseProgressStore` for the game's Supabase project, or `MB_MemoryProgressStore` to
+ * stand in for it (e.g. in tests). Progress made on two devices is brought together with `MB_Progress.merge`,
+ * which keeps the better result of each level, so syncing never loses a record.
+ *
+ * A progress document has:
+ * - `version`: the version of the layout (`MB_PROGRESS_FORMAT_VERSION`).
+ * - `levels`: the results on every level played, by level ID (see `MB_Level`):
+ *   - `time`, `splits`: the best finish time and its split times, in seconds, or null if the level was never finished.
+ *   - `replayId`: the ID of the best run's replay in the local database of the device it was played on, if it was kept.
+ *   - `medal`, `stars`: the best medal and stars earned (see `MB_CampaignProgression`), which are kept even if the
+ *     level's targets change later.
+ *   - `collectibles`: the IDs of the collectibles ever picked up on the level.
+ *   - `updatedAt`: when the result last changed, as an ISO date.
+ * - `achievements`: when each achievement was unlocked, as ISO dates by achievement ID (see `MB_Achievements`).
+ */
+
+import { MB_CampaignProgression, MB_MEDALS } from './mb-campaigns.js';
+import { MB_LevelFormat } from './mb-level-format.js';
+import { MB_SupabaseUtility } from './mb-supabase.js';
+
+/** The version of the progress documents' layout. */
+export const MB_PROGRESS_FORMAT_VERSION = 1;
+
+export class MB_ProgressError extends Error {
+    /**
+     * Initializes a new instance of the MB_ProgressError class.
+     * @param {'offline' | 'rejected'} code - What went wrong: the store couldn't be reached (try again later),
+     * or it refused the request (trying again won't help).
+     * @param {string} message - A description of what went wrong.
+     * @returns {MB_ProgressError}
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = "MB_ProgressError";
+        this.code = code;
+    }
+}
+
+export class MB_Achievements {
+    /**
+     * The achievements, with the cosmetic they unlock: a marble skin or a trail.
+     * `check` tells whether the player earned the achievement, from their progress and, if they just finished a
+     * level of a campaign, that campaign.
+     * @type {Array<{id: string, name: string, description: string, reward: {type: 'skin' | 'trail', id: string},
+     * check: function(MB_Progress, {campaign: ?Object}): boolean}>}
+     */
+    static catalog = [
+        {
+            id: "first-finish", name: "First steps", description: "Finish a level.",
+            reward: {type: "trail", id: "sparks"},
+            check: progress => progress.totals.finished >= 1,
+        },
+        {
+            id: "gold-medal", name: "Gold rush", description: "Earn a gold medal.",
+            reward: {type: "skin", id: "gold"},
+            check: progress => Object.values(progress.levels).some(record => record.medal === "gold"),
+        },
+        {
+            id: "treasure-hunter", name: "Treasure hunter", description: "Pick up 10 collectibles.",
+            reward: {type: "skin", id: "amethyst"},
+            check: progress => progress.totals.collectibles >= 10,
+        },
+        {
+            id: "star-collector", name: "Star collector", description: "Collect 30 stars.",
+            reward: {type: "trail", id: "comet"},
+            check: progress => progress.totals.stars >= 30,
+        },
+        {
+            id: "completionist", name: "Completionist", description: "Finish every level of a campaign.",
+            reward: {type: "skin", id: "obsidian"},
+            check: (progress, context) => {
+                if (!context.campaign) return false;
+                const totals = progress.getTotals(context.campaign);
+                return totals.levels > 0 && totals.finished === totals.levels;
+            },
+        },
+        {
+            id: "marathon", name: "Marathon", description: "Finish 25 levels.",
+            reward: {type: "trail", id: "ember"},
+            check: progress => progress.totals.finished >= 25,
+        },
+    ];
+
+    /**
+     * Gets an achievement by its ID.
+     * @param {string} id - The achievement's ID.
+     * @returns {?Object} The achievement, or null if there is no such achievement (e.g. one from a newer version of the game).
+     */
+    static get(id) {
+        return MB_Achievements.catalog.find(achievement => achievement.id === id) || null;
+    }
+
+    /**
+     * Tells which achievement unlocks a cosmetic.
+     * @param {'skin' | 'trail'} type - The kind of cosmetic.
+     * @param {string} id - The cosmetic's ID.
+     * @returns {?Object} The achievement, or null if the cosmetic is free.
+     */
+    static getUnlocking(type, id) {
+        return MB_Achievements.catalog.find(achievement => achievement.reward.type === type && achievement.reward.id === id) || null;
+    }
+}
+
+/**
+ * Keeps the better of two medals.
+ * @private
+ */
+function betterMedal(a, b) {
+    if (!a || !b) return a || b || null;
+    return MB_MEDALS.indexOf(a) <= MB_MEDALS.indexOf(b) ? a : b;
+}
+
+/**
+ * Brings together the results of a level from two devices: the faster finish wins, with its splits and replay,
+ * and the rest is the best of both.
+ * @private
+ */
+function mergeLevelRecords(a, b) {
+    if (!a || !b) return a || b;
+    const better = b.time !== null && (a.time === null || b.time < a.time) ? b : a;
+    return {
+        time: better.time,
+        splits: [...better.splits],
+        replayId: better.replayId,
+        medal: betterMedal(a.medal, b.medal),
+        stars: Math.max(a.stars, b.stars),
+        collectibles: [...new Set([...a.collectibles, ...b.collectibles])].sort(),
+        updatedAt: a.updatedAt > b.updatedAt ? a.updatedAt : b.updatedAt,
+    };
+}
+
+/** @private */
+function normalizeLevelRecord(record) {
+    return {
+        time: typeof record.time === "number" ? record.time : null,
+        splits: Array.isArray(record.splits) ? [...record.splits] : [],
+        replayId: record.replayId ?? null,
+        medal: MB_MEDALS.includes(record.medal) ? record.medal : null,
+        stars: record.stars || 0,
+        collectibles: Array.isArray(record.collectibles) ? [...record.collectibles] : [],
+        updatedAt: record.updatedAt || new Date(0).toISOString(),
+    };
+}
+
+export class MB_Progress {
+    /**
+     * Initializes a new instance of the MB_Progress class from a progress document.
+     * Documents are copied in, and missing or malformed fields are filled in, so a document read from storage
+     * or from another device can be passed as is.
+     * @param {Object} [document] - The progress document. Without it, the progress is empty.
+     * @returns {MB_Progress}
+     */
+    constructor(document = {}) {
+        /** @type {Object<string, Object>} */
+        this.levels = {};
+        for (const [levelId, record] of Object.entries(document.levels || {})) {
+            if (record) this.levels[levelId] = normalizeLevelRecord(record);
+        }
+        /** @type {Object<string, string>} */
+        this.achievements = {...document.achievements};
+    }
+
+    /**
+     * Brings together the progress of two devices: for every level the faster finish wins, and the medals, stars,
+     * collectibles and achievements of both are kept. When both finished a level in the same time, `a` wins.
+     * @param {MB_Progress} a - The progress of one device.
+     * @param {MB_Progress} b - The progress of the other.
+     * @returns {MB_Progress} The merged progress.
+     */
+    static merge(a, b) {
+        const merged = new MB_Progress();
+        for (const levelId of new Set([...Object.keys(a.levels), ...Object.keys(b.levels)])) {
+            merged.levels[levelId] = normalizeLevelRecord(mergeLevelRecords(a.levels[levelId], b.levels[levelId]));
+        }
+        for (const [id, date] of [...Object.entries(a.achievements), ...Object.entries(b.achievements)]) {
+            if (!merged.achievements[id] || date < merged.achievements[id]) merged.achievements[id] = date;
+        }
+        return merged;
+    }
+
+    /**
+     * Gets the results on a level.
+     * @param {string} levelId - The ID of the level.
+     * @returns {?Object} The results (see the module's description), or null if the level was never played.
+     */
+    getLevel(levelId) {
+        return this.levels[levelId] || null;
+    }
+
+    /**
+     * Gives the best finish time on a level.
+     * @param {string} levelId - The ID of the level.
+     * @returns {?number} The time, in seconds, or null if the level was never finished.
+     */
+    getTime(levelId) {
+        return this.levels[levelId]?.time ?? null;
+    }
+
+    /**
+     * Records the result of a run: a better finish time, the medal and stars it earned, and the collectibles
+     * picked up, finished or not. Then unlocks the achievements the player earned.
+     * @param {{id: string, medals: ?Object}} level - The level (see `MB_Level`).
+     * @param {{time: number, splits: Array<number>, timedOut: boolean, collectibles: Array<string>}} result - The
+     * run's result (see `MB_RaceSession`).
+     * @param {Object} [options] - What else is known about the run.
+     * @param {?string} [options.replayId] - The ID of the run's replay in the local database, if it was kept.
+     * @param {?Object} [options.campaign] - The campaign the level was played in, if any.
+     * @returns {{newBest: boolean, medal: ?string, stars: number, collectibles: number, achievements: Array<Object>}}
+     * Whether the run is the new best, the medal and stars of the best finish, how many collectibles were picked up
+     * for the first time, and the achievements unlocked.
+     */
+    recordRun(level, result, options = {}) {
+        const previous = this.getLevel(level.id);
+        const record = previous ? normalizeLevelRecord(previous) : normalizeLevelRecord({});
+        const finished = !result.timedOut && typeof result.time === "number";
+        const newBest = finished && (record.time === null || result.time < record.time);
+        if (newBest) {
+            record.time = result.time;
+            record.splits = [...result.splits];
+            record.replayId = options.replayId ?? null;
+        }
+        record.medal = betterMedal(record.medal, MB_CampaignProgression.getMedal(level, record.time));
+        record.stars = Math.max(record.stars, MB_CampaignProgression.getStars(level, record.time));
+        const collectibles = new Set(record.collectibles);
+        const newCollectibles = (result.collectibles || []).filter(id => !collectibles.has(id));
+        record.collectibles = [...collectibles, ...newCollectibles].sort();
+        if (newBest || newCollectibles.length || record.medal !== previous?.medal || record.stars !== previous?.stars) {
+            record.updatedAt = new Date().toISOString();
+        }
+        this.levels[level.id] = record;
+        return {
+            newBest: newBest,
+            medal: record.medal,
+            stars: record.stars,
+            collectibles: newCollectibles.length,
+            achievements: this.unlockAchievements({campaign: options.campaign}),
+        };
+    }
+
+    /**
+     * Unlocks the achievements the player earned and doesn't have yet.
+     * @param {Object} [context] - See `MB_Achievements.catalog`.
+     * @param {?Object} [context.campaign] - The campaign a level was just finished in, if any.
+     * @returns {Array<Object>} The achievements unlocked.
+     */
+    unlockAchievements(context = {}) {
+        const unlocked = MB_Achievements.catalog.filter(achievement =>
+            !this.achievements[achievement.id] && achievement.check(this, {campaign: context.campaign || null}));
+        const now = new Date().toISOString();
+        for (const achievement of unlocked) this.achievements[achievement.id] = now;
+        return unlocked;
+    }
+
+    /**
+     * Tells whether a cosmetic is unlocked: either it is free, or the achievement unlocking it was earned.
+     * @param {'skin' | 'trail'} type - The kind of cosmetic.
+     * @param {string} id - The cosmetic's ID.
+     * @returns {boolean}
+     */
+    hasUnlocked(type, id) {
+        const achievement = MB_Achievements.getUnlocking(type, id);
+        return !achievement || !!this.achievements[achievement.id];
+    }
+
+    /**
+     * The totals over every level played.
+     * @returns {{finished: number, stars: number, collectibles: number, achievements: number}}
+     */
+    get totals() {
+        const records = Object.values(this.levels);
+        return {
+            finished: records.filter(record => record.time !== null).length,
+            stars: records.reduce((stars, record) => stars + record.stars, 0),
+            collectibles: records.reduce((count, record) => count + record.collectibles.length, 0),
+            achievements: Object.keys(this.achievements).length,
+        };
+    }
+
+    /**
+     * Adds up the progress on the levels of a campaign, by chapter and in all. Medals and stars follow the
+     * campaign's current targets, and only the collectibles still in the levels count.
+     * @param {{chapters: Array<{levels: Array<{id: string, medals: ?Object, data: Object}>}>}} campaign - The campaign.
+     * @returns {{levels: number, finished: number, stars: number, maxStars: number, collectibles: number,
+     * maxCollectibles: number, medals: Object<string, number>, chapters: Array<Object>}} The totals of the campaign,
+     * with the same totals for each of its chapters in `chapters`.
+     */
+    getTotals(campaign) {
+        const add = (totals, other) => {
+            for (const key of ["levels", "finished", "stars", "maxStars", "collectibles", "maxCollectibles"]) totals[key] += other[key];
+            for (const medal of MB_MEDALS) totals.medals[medal] += other.medals[medal];
+            return totals;
+        };
+        const empty = () => ({
+            levels: 0, finished: 0, stars: 0, maxStars: 0, collectibles: 0, maxCollectibles: 0,
+            medals: Object.fromEntries(MB_MEDALS.map(medal => [medal, 0])),
+        });
+        const chapters = campaign.chapters.map(chapter => chapter.levels.map(level => {
+            const totals = empty();
+            const time = this.getTime(level.id);
+            const medal = MB_CampaignProgression.getMedal(level, time);
+            const available = level.data ? MB_LevelFormat.collectGameplayObjects(level.data).collectibles.map(object => object.id) : [];
+            const collected = new Set(this.levels[level.id]?.collectibles);
+            totals.levels = 1;
+            totals.finished = time === null ? 0 : 1;
+            totals.stars = MB_CampaignProgression.getStars(level, time);
+            totals.maxStars = level.medals ? MB_MEDALS.length : 0;
+            totals.collectibles = available.filter(id => collected.has(id)).length;
+            totals.maxCollectibles = available.length;
+            if (medal) totals.medals[medal] = 1;
+            return totals;
+        }).reduce(add, empty()));
+        return {...chapters.reduce(add, empty()), chapters: chapters};
+    }
+
+    /**
+     * The progress document, for `JSON.stringify`.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {version: MB_PROGRESS_FORMAT_VERSION, levels: this.levels, achievements: this.achievements};
+    }
+}
+
+export class MB_ProgressStore {
+    /**
+     * Initializes a new instance of the MB_ProgressStore class.
+     * This is the interface progress stores implement. They reject with an `MB_ProgressError` when they fail.
+     * @returns {MB_ProgressStore}
+     */
+    constructor() {}
+
+    /**
+     * Gives the ID of the signed-in player. It must be known offline too.
+     * @returns {Promise<?string>} The ID, or null if no one is signed in.
+     */
+    getUserId() {
+        throw new Error("MB_ProgressStore: getUserId() is not implemented.");
+    }
+
+    /**
+     * Reads the progress of the signed-in player.
+     * @returns {Promise<?Object>} The progress document, or null if none was saved yet.
+     */
+    load() {
+        throw new Error("MB_ProgressStore: load() is not implemented.");
+    }
+
+    /**
+     * Saves the progress of the signed-in player, replacing the one saved.
+     * @param {Object} document - The progress document.
+     * @returns {Promise<void>}
+     */
+    save(document) {
+        throw new Error("MB_ProgressStore: save() is not implemented.");
+    }
+}
+
+export class MB_MemoryProgressStore extends MB_ProgressStore {
+    /**
+     * Initializes a new instance of the MB_MemoryProgressStore class.
+     * Stands in for a progress server inside a single page or process, e.g. for tests.
+     * Documents are copied in and out, as they would be over a network.
+     * @param {Object} [options] - Configuration options for the store.
+     * @param {?string} [options.userId=null] - The ID of the signed-in player.
+     * @returns {MB_MemoryProgressStore}
+     */
+    constructor(options = {}) {
+        super();
+        this.userId = options.userId ?? null;
+        /** Whether the store can be reached. While it can't, requests reject with an `offline` error. */
+        this.online = true;
+        /** The progress documents saved, by user ID. */
+        this.documents = {};
+    }
+
+    getUserId() {
+        return Promise.resolve(this.userId);
+    }
+
+    load() {
+        if (!this.online) return Promise.reject(new MB_ProgressError("offline", "The progress can't be reached."));
+        if (!this.userId) return Promise.reject(new MB_ProgressError("rejected", "Sign in to sync your progress."));
+        const document = this.documents[this.userId];
+        return Promise.resolve(document ? JSON.parse(JSON.stringify(document)) : null);
+    }
+
+    save(document) {
+        if (!this.online) return Promise.reject(new MB_ProgressError("offline", "The progress can't be reached."));
+        if (!this.userId) return Promise.reject(new MB_ProgressError("rejected", "Sign in to sync your progress."));
+        this.documents[this.userId] = JSON.parse(JSON.stringify(document));
+        return Promise.resolve();
+    }
+}
+
+export class MB_SupabaseProgressStore extends MB_ProgressStore {
+    /**
+     * Initializes a new instance of the MB_SupabaseProgressStore class.
+     * Keeps the progress in a Supabase project, which has a `player_progress` table with a row for every player:
+     * `user_id` (a `users.id`), `document` (the progress document, as JSON) and `updated_at`, which players may
+     * only read and write their own row of.
+     * @param {Object} supabase - The Supabase client (see `MB_AccountManager`).
+     * @returns {MB_SupabaseProgressStore}
+     */
+    constructor(supabase) {
+        super();
+        this.supabase = supabase;
+    }
+
+    async getUserId() {
+        return MB_SupabaseUtility.getUserId(this.supabase);
+    }
+
+    async load() {
+        const userId = await this.getUserId();
+        if (!userId) throw new MB_ProgressError("rejected", "Sign in to sync your progress.");
+        const res = await this.supabase.from("player_progress").select("document").eq("user_id", userId).maybeSingle();
+        if (res.error) throw this.$toError(res.error);
+        return res.data ? res.data.document : null;
+    }
+
+    async save(document) {
+        const userId = await this.getUserId();
+        if (!userId) throw new MB_ProgressError("rejected", "Sign in to sync your progress.");
+        const res = await this.supabase.from("player_progress").upsert({
+            user_id: userId,
+            document: document,
+            updated_at: new Date().toISOString(),
+        });
+        if (res.error) throw this.$toError(res.error);
+    }
+
+    /** @private */
+    $toError(error) {
+        return MB_SupabaseUtility.toError(error, MB_ProgressError, "The progress can't be reached.");
+    }
+}
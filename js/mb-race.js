@@ -0,0 +1,348 @@
+/*
+ * Race rules: countdown, checkpoints, respawning, finishing and split times.
+ *
+ * Time is counted in physics steps rather than read from a clock, so a race replayed from the
+ * same inputs always produces the same times.
+ */
+
+/**
+ * Returns the inverse of an affine, column-major 4x4 matrix.
+ * @private
+ */
+function invertAffine(m) {
+    const [a, b, c, d, e, f, g, h, i] = [m[0], m[4], m[8], m[1], m[5], m[9], m[2], m[6], m[10]];
+    const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+    if (Math.abs(det) < 1e-12) throw new Error("MB_TriggerVolume: The trigger's matrix cannot be inverted (zero scale?).");
+    const r = [
+        (e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det,
+        (f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det,
+        (d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det,
+    ];
+    const [tx, ty, tz] = [m[12], m[13], m[14]];
+    return [
+        r[0], r[3], r[6], 0,
+        r[1], r[4], r[7], 0,
+        r[2], r[5], r[8], 0,
+        -(r[0] * tx + r[1] * ty + r[2] * tz), -(r[3] * tx + r[4] * ty + r[5] * tz), -(r[6] * tx + r[7] * ty + r[8] * tz), 1,
+    ];
+}
+
+export class MB_TriggerVolume {
+    /**
+     * Initializes a new instance of the MB_TriggerVolume class.
+     * @param {Object} options - Configuration options for the trigger.
+     * @param {string} options.id - The ID of the level object the trigger belongs to.
+     * @param {'checkpoint' | 'finish' | 'hazard' | 'booster' | 'collectible'} options.role - The gameplay role of the object.
+     * @param {'box' | 'sphere'} options.shape - The shape of the volume.
+     * @param {Array<number>} [options.size] - The size of a box volume, in the object's local space.
+     * @param {number} [options.radius] - The radius of a sphere volume, in the object's local space.
+     * @param {Array<number>} options.matrix - The object's column-major 4x4 world matrix.
+     * @param {Object} [options.gameplay] - The rest of the object's gameplay definition (`order`, `hazard`, `strength`, `direction`, in local space).
+     * @returns {MB_TriggerVolume}
+     */
+    constructor(options) {
+        this.id = options.id;
+        this.role = options.role;
+        this.shape = options.shape;
+        this.size = options.size || [1, 1, 1];
+        this.radius = options.radius || .5;
+        this.gameplay = options.gameplay || {};
+        this.matrix = [...options.matrix];
+        /** @private */
+        this.$inverse = invertAffine(this.matrix);
+    }
+
+    /**
+     * The world-space position of the trigger's center.
+     * @returns {Array<number>}
+     */
+    get center() {
+        return [this.matrix[12], this.matrix[13], this.matrix[14]];
+    }
+
+    /**
+     * Checks whether a world-space point is inside the volume.
+     * @param {Array<number>} point - The point.
+     * @returns {boolean}
+     */
+    contains(point) {
+        const m = this.$inverse;
+        const [x, y, z] = point;
+        const lx = m[0] * x + m[4] * y + m[8] * z + m[12];
+        const ly = m[1] * x + m[5] * y + m[9] * z + m[13];
+        const lz = m[2] * x + m[6] * y + m[10] * z + m[14];
+        if (this.shape === "sphere") return lx * lx + ly * ly + lz * lz <= this.radius * this.radius;
+        return Math.abs(lx) <= this.size[0] / 2 && Math.abs(ly) <= this.size[1] / 2 && Math.abs(lz) <= this.size[2] / 2;
+    }
+}
+
+export class MB_RaceSession {
+    /**
+     * Initializes a new instance of the MB_RaceSession class.
+     * The session moves through the states `loading` → `countdown` → `racing` → `finished` → `results`,
+     * and can be `paused` during the countdown or the race. Sandbox levels skip the countdown and never finish.
+     * @param {Object} options - Configuration options for the session.
+     * @param {'race' | 'sandbox'} [options.type="race"] - The level type.
+     * @param {number} options.timestep - The physics step length, in seconds.
+     * @param {Array<MB_TriggerVolume>} [options.triggers] - The level's trigger volumes.
+     * @param {{position: Array<number>, yaw: number}} options.spawn - Where the marble starts.
+     * @param {?number} [options.startCheckpoint] - Index of a checkpoint (by order) to start from instead, as when practicing
+     * part of a level. The checkpoints up to it count as reached, with splits of 0.
+     * @param {number} [options.killPlaneY=-50] - Height below which the marble is respawned.
+     * @param {?number} [options.timeLimit] - Time after which the race ends unfinished, in seconds.
+     * @param {number} [options.countdownSeconds=3] - Length of the countdown.
+     * @param {number} [options.resultsDelaySeconds=2] - Time between crossing the finish and showing the results.
+     * @param {?{time: number, splits: Array<number>}} [options.personalBest] - The best run so far, to compare splits against.
+     * It is a run of the whole level, so runs started from a checkpoint are not compared against it.
+     * @param {function(string, string)} [options.onStateChange] - Called with the new and previous state.
+     * @param {function({index: number, time: number, delta: ?number})} [options.onCheckpoint] - Called when the next checkpoint is reached.
+     * @param {function()} [options.onCheckpointMissed] - Called when the finish is reached without every checkpoint.
+     * @param {function({position: Array<number>, yaw: number})} [options.onRespawn] - Called after the marble was respawned.
+     * @param {function({id: string, count: number, total: number})} [options.onCollect] - Called when a collectible is picked up.
+     * @param {function(Object)} [options.onFinish] - Called with the run's result when it ends (see `result`).
+     * @returns {MB_RaceSession}
+     */
+    constructor(options) {
+        this.type = options.type || "race";
+        this.timestep = options.timestep;
+        this.triggers = options.triggers || [];
+        this.checkpoints = this.triggers
+            .filter(trigger => trigger.role === "checkpoint")
+            .sort((a, b) => a.gameplay.order - b.gameplay.order);
+        this.collectibles = this.triggers.filter(trigger => trigger.role === "collectible");
+        this.spawn = options.spawn;
+        this.startCheckpoint = options.startCheckpoint ?? null;
+        if (this.startCheckpoint !== null && !this.checkpoints[this.startCheckpoint]) {
+            throw new Error(`MB_RaceSession: There is no checkpoint ${this.startCheckpoint} to start from.`);
+        }
+        this.killPlaneY = options.killPlaneY ?? -50;
+        this.timeLimit = options.timeLimit ?? null;
+        this.countdownSeconds = options.countdownSeconds ?? 3;
+        this.resultsDelaySeconds = options.resultsDelaySeconds ?? 2;
+        this.personalBest = options.personalBest || null;
+        this.onStateChange = options.onStateChange || (() => {});
+        this.onCheckpoint = options.onCheckpoint || (() => {});
+        this.onCheckpointMissed = options.onCheckpointMissed || (() => {});
+        this.onRespawn = options.onRespawn || (() => {});
+        this.onCollect = options.onCollect || (() => {});
+        this.onFinish = options.onFinish || (() => {});
+        this.state = "loading";
+        this.restart();
+    }
+
+    /**
+     * Whether the level is timed (a race) or free-roam (a sandbox).
+     * @returns {boolean}
+     */
+    get timed() {
+        return this.type === "race";
+    }
+
+    /**
+     * The race time so far, in seconds.
+     * @returns {number}
+     */
+    get time() {
+        return this.$raceSteps * this.timestep;
+    }
+
+    /**
+     * The countdown time left, in seconds.
+     * @returns {number}
+     */
+    get countdownRemaining() {
+        return Math.max(0, this.countdownSeconds - this.$countdownSteps * this.timestep);
+    }
+
+    /**
+     * Resets the run (time, checkpoints, respawn point) without changing the state.
+     * The respawn point is reset to where the run starts: the spawn point, or the start checkpoint.
+     * @returns {void}
+     */
+    restart() {
+        /** @private */
+        this.$raceSteps = 0;
+        /** @private */
+        this.$countdownSteps = 0;
+        /** @private */
+        this.$finishedSteps = 0;
+        /** @private */
+        this.$inside = new Set();
+        this.nextCheckpoint = 0;
+        this.splits = [];
+        /**
+         * The IDs of the collectibles picked up during the run.
+         * @type {Set<string>}
+         */
+        this.collected = new Set();
+        this.respawnPoint = this.spawn;
+        if (this.startCheckpoint !== null) {
+            this.nextCheckpoint = this.startCheckpoint + 1;
+            this.splits = new Array(this.nextCheckpoint).fill(0);
+            this.respawnPoint = this.$getRespawnPoint(this.checkpoints[this.startCheckpoint]);
+        }
+        /** @type {?Object} */
+        this.result = null;
+    }
+
+    /**
+     * Starts the run, once the level has loaded (or again, when retrying).
+     * @param {MB_PhysicsMarble} marble - The marble taking part in the run.
+     * @returns {void}
+     */
+    begin(marble) {
+        this.restart();
+        marble.reset(this.respawnPoint.position);
+        this.$setState(this.timed ? "countdown" : "racing", marble);
+    }
+
+    /**
+     * Pauses the countdown or the race.
+     * @returns {void}
+     */
+    pause() {
+        if (this.state !== "countdown" && this.state !== "racing") return;
+        /** @private */
+        this.$pausedState = this.state;
+        this.$setState("paused");
+    }
+
+    /**
+     * Resumes a paused countdown or race.
+     * @returns {void}
+     */
+    resume() {
+        if (this.state !== "paused") return;
+        this.$setState(this.$pausedState);
+    }
+
+    /**
+     * Advances the rules by one physics step. Must be called after every step while the session isn't paused.
+     * @param {MB_PhysicsMarble} marble - The marble taking part in the run.
+     * @returns {void}
+     */
+    step(marble) {
+        switch (this.state) {
+            case "countdown":
+                this.$countdownSteps++;
+                if (this.countdownRemaining <= 0) this.$setState("racing", marble);
+                break;
+            case "racing":
+                if (this.timed) this.$raceSteps++;
+                this.$checkTriggers(marble);
+                if (marble.position[1] < this.killPlaneY) this.respawn(marble);
+                if (this.state === "racing" && this.timed && this.timeLimit !== null && this.time >= this.timeLimit) {
+                    this.$finish(marble, true);
+                }
+                break;
+            case "finished":
+                this.$finishedSteps++;
+                if (this.$finishedSteps * this.timestep >= this.resultsDelaySeconds) this.$setState("results", marble);
+                break;
+        }
+    }
+
+    /**
+     * Puts the marble back at the last checkpoint reached (or the spawn point), at rest.
+     * @param {MB_PhysicsMarble} marble - The marble to respawn.
+     * @returns {void}
+     */
+    respawn(marble) {
+        marble.reset(this.respawnPoint.position);
+        this.$inside.clear();
+        this.onRespawn(this.respawnPoint);
+    }
+
+    /** @private */
+    $setState(state, marble) {
+        const previous = this.state;
+        if (state === previous) return;
+        this.state = state;
+        if (marble) marble.frozen = state !== "racing";
+        this.onStateChange(state, previous);
+    }
+
+    /** @private */
+    $checkTriggers(marble) {
+        for (const trigger of this.triggers) {
+            const inside = trigger.contains(marble.position);
+            const entered = inside && !this.$inside.has(trigger);
+            if (inside) this.$inside.add(trigger);
+            else this.$inside.delete(trigger);
+            if (!entered) continue;
+            switch (trigger.role) {
+                case "checkpoint":
+                    if (trigger === this.checkpoints[this.nextCheckpoint]) this.$reachCheckpoint(trigger);
+                    break;
+                case "finish":
+                    if (this.nextCheckpoint === this.checkpoints.length) this.$finish(marble, false);
+                    else this.onCheckpointMissed();
+                    break;
+                case "hazard":
+                    this.respawn(marble);
+                    return;
+                case "booster": {
+                    // The direction is in the object's space, so boosters turn with the objects they belong to
+                    const [dx, dy, dz] = trigger.gameplay.direction;
+                    const m = trigger.matrix;
+                    const [x, y, z] = [0, 1, 2].map(i => m[i] * dx + m[i + 4] * dy + m[i + 8] * dz);
+                    const length = Math.sqrt(x * x + y * y + z * z) || 1;
+                    const strength = trigger.gameplay.strength * marble.mass / length;
+                    marble.applyImpulse([x * strength, y * strength, z * strength]);
+                    break;
+                }
+                case "collectible":
+                    // Collectibles stay picked up through respawns, until the run is restarted
+                    if (this.collected.has(trigger.id)) break;
+                    this.collected.add(trigger.id);
+                    this.onCollect({id: trigger.id, count: this.collected.size, total: this.collectibles.length});
+                    break;
+            }
+            if (this.state !== "racing") return;
+        }
+    }
+
+    /** @private */
+    $reachCheckpoint(trigger) {
+        const index = this.nextCheckpoint++;
+        const time = this.time;
+        this.splits.push(time);
+        this.respawnPoint = this.$getRespawnPoint(trigger);
+        const bestSplit = this.$getComparedBest()?.splits?.[index];
+        this.onCheckpoint({index, time, delta: bestSplit === undefined ? null : time - bestSplit});
+    }
+
+    /**
+     * The personal best to compare the run against, or null if there is none or the run started from a checkpoint.
+     * @private
+     */
+    $getComparedBest() {
+        return this.startCheckpoint === null ? this.personalBest : null;
+    }
+
+    /**
+     * Respawning at a checkpoint puts the marble at its center, facing the way it faces.
+     * @private
+     */
+    $getRespawnPoint(trigger) {
+        const m = trigger.matrix;
+        return {position: trigger.center, yaw: Math.atan2(m[8], m[10])};
+    }
+
+    /** @private */
+    $finish(marble, timedOut) {
+        if (!this.timed) return;
+        const time = this.time;
+        const best = this.$getComparedBest();
+        this.result = {
+            time,
+            splits: [...this.splits],
+            timedOut,
+            delta: best && !timedOut ? time - best.time : null,
+            newBest: !timedOut && this.startCheckpoint === null && (!best || time < best.time),
+            collectibles: [...this.collected],
+        };
+        this.$setState("finished", marble);
+        this.onFinish(this.result);
+    }
+}
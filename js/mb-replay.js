@@ -0,0 +1,288 @@
+/*
+ * Replays: runs recorded as the movement input of every physics step.
+ *
+ * The simulation is deterministic (see mb-physics.js), so the inputs, the level and the seed of the run are
+ * enough to play it out again exactly, for as long as the simulation doesn't change (see `MB_PHYSICS_VERSION`).
+ *
+ * A replay is saved as a JSON document (a `.mbreplay` file):
+ * - `format`: always "mbreplay", and `version`: the version of the layout (`MB_REPLAY_FORMAT_VERSION`).
+ * - `physicsVersion`: the `MB_PHYSICS_VERSION` it was recorded with.
+ * - `levelHash`: the `MB_LevelHash` of the level document, and `seed`: the seed of the physics world.
+ * - `startCheckpoint`: the checkpoint the run started from, if not the spawn point.
+ * - `timestep`, `ticks`: the length of a step, in seconds (always `MB_PHYSICS_TIMESTEP`), and the number of steps recorded.
+ * - `inputs`: the inputs, base64-encoded. Runs of identical inputs are stored once, as a u16 count, two
+ *   axes (i8, -127 to 127) and an angle (u16, a full turn being 65536), all big-endian.
+ * - `level`, `player`, `recordedAt` (an ISO date) and `result` (`{time, splits, timedOut}`): what the run was.
+ */
+
+import { MB_PHYSICS_TIMESTEP, MB_PHYSICS_VERSION } from './mb-physics.js';
+import { MB_LevelHash } from './mb-netcode.js';
+
+/** The version of the replay documents' layout. */
+export const MB_REPLAY_FORMAT_VERSION = 1;
+
+export class MB_ReplayError extends Error {
+    /**
+     * Initializes a new instance of the MB_ReplayError class.
+     * @param {'invalid' | 'version-mismatch' | 'level-mismatch'} code - What went wrong.
+     * @param {string} message - A description of what went wrong.
+     * @returns {MB_ReplayError}
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = "MB_ReplayError";
+        this.code = code;
+    }
+}
+
+/**
+ * The bytes a run of identical inputs takes in `inputs`.
+ * @private
+ */
+const RUN_SIZE = 6;
+
+/**
+ * Inputs are stored the way the netcode sends them (see `MB_NetMessage`), so they are rounded the same way.
+ * @private
+ */
+function quantizeAxis(value) {
+    return Math.round(Math.max(-1, Math.min(1, value)) * 127);
+}
+
+/** @private */
+function quantizeAngle(value) {
+    return Math.round((((value / (2 * Math.PI)) % 1) + 1) % 1 * 65536) % 65536;
+}
+
+export class MB_Replay {
+    /**
+     * Initializes a new instance of the MB_Replay class from a replay document, checking it can be played back.
+     * Use `MB_ReplayRecorder` to record one, or `parse` to read a `.mbreplay` file.
+     * @param {Object} document - The replay document.
+     * @throws {MB_ReplayError} If the document isn't a replay, or was recorded with another version or step length
+     * of the simulation.
+     * @returns {MB_Replay}
+     */
+    constructor(document) {
+        if (!document || document.format !== "mbreplay" || typeof document.inputs !== "string" || !(document.ticks >= 0)) {
+            throw new MB_ReplayError("invalid", "This is not a replay.");
+        }
+        // Played back at another step length, the same inputs would not play out the same way
+        if (document.version !== MB_REPLAY_FORMAT_VERSION || document.physicsVersion !== MB_PHYSICS_VERSION || document.timestep !== MB_PHYSICS_TIMESTEP) {
+            throw new MB_ReplayError("version-mismatch", "This replay was recorded with another version of the game.");
+        }
+        this.document = document;
+        /** @private */
+        this.$x = new Int8Array(document.ticks);
+        /** @private */
+        this.$y = new Int8Array(document.ticks);
+        /** @private */
+        this.$yaw = new Uint16Array(document.ticks);
+        let bytes;
+        try {
+            bytes = Uint8Array.from(atob(document.inputs), character => character.charCodeAt(0));
+        } catch (error) {
+            throw new MB_ReplayError("invalid", "The inputs of this replay are corrupted.");
+        }
+        const view = new DataView(bytes.buffer);
+        let tick = 0;
+        for (let offset = 0; offset + RUN_SIZE <= bytes.length; offset += RUN_SIZE) {
+            const end = tick + view.getUint16(offset);
+            if (end > document.ticks) break;
+            this.$x.fill(view.getInt8(offset + 2), tick, end);
+            this.$y.fill(view.getInt8(offset + 3), tick, end);
+            this.$yaw.fill(view.getUint16(offset + 4), tick, end);
+            tick = end;
+        }
+        if (tick !== document.ticks) throw new MB_ReplayError("invalid", "The inputs of this replay are corrupted.");
+    }
+
+    /**
+     * Reads a replay from the contents of a `.mbreplay` file.
+     * @param {string} text - The file's contents.
+     * @throws {MB_ReplayError} If the file isn't a replay that can be played back.
+     * @returns {MB_Replay}
+     */
+    static parse(text) {
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (error) {
+            throw new MB_ReplayError("invalid", "This is not a replay.");
+        }
+        return new MB_Replay(document);
+    }
+
+    /** The hash of the level the run was on (see `MB_LevelHash`). */
+    get levelHash() {
+        return this.document.levelHash;
+    }
+
+    /** The seed of the run's physics world. */
+    get seed() {
+        return this.document.seed;
+    }
+
+    /** The checkpoint the run started from, or null if it started from the spawn point. */
+    get startCheckpoint() {
+        return this.document.startCheckpoint ?? null;
+    }
+
+    /** The number of steps recorded. */
+    get ticks() {
+        return this.document.ticks;
+    }
+
+    /**
+     * How long the recording lasts, countdown included, in seconds.
+     * @returns {number}
+     */
+    get duration() {
+        return this.document.ticks * this.document.timestep;
+    }
+
+    /**
+     * The result of the run (see `MB_RaceSession`), if it ended.
+     * @returns {?{time: number, splits: Array<number>, timedOut: boolean}}
+     */
+    get result() {
+        return this.document.result || null;
+    }
+
+    /**
+     * Checks the run was on a level.
+     * @param {Object} data - The level document.
+     * @throws {MB_ReplayError} If the replay is of another level, or of another version of it.
+     * @returns {void}
+     */
+    checkLevel(data) {
+        if (MB_LevelHash.compute(data) !== this.document.levelHash) {
+            throw new MB_ReplayError("level-mismatch", "This replay is of another level, or of another version of this level.");
+        }
+    }
+
+    /**
+     * Gives the input recorded for a step. Past the end of the recording, the marble is let go.
+     * @param {number} tick - The step, counted from the start of the run.
+     * @returns {{x: number, y: number, yaw: number}}
+     */
+    inputAt(tick) {
+        const recorded = tick >= 0 && tick < this.document.ticks;
+        // Keeping the last direction keeps a camera following the recorded one steady
+        const index = Math.max(0, Math.min(tick, this.document.ticks - 1));
+        return {
+            x: recorded ? this.$x[tick] / 127 : 0,
+            y: recorded ? this.$y[tick] / 127 : 0,
+            yaw: this.document.ticks ? this.$yaw[index] / 65536 * 2 * Math.PI : 0,
+        };
+    }
+
+    /**
+     * Sets a marble's input to the one recorded for a step. Call it from the world's `onBeforeStep`.
+     * @param {MB_PhysicsMarble} marble - The marble.
+     * @param {number} tick - The step, counted from the start of the run.
+     * @returns {void}
+     */
+    applyInput(marble, tick) {
+        const input = this.inputAt(tick);
+        marble.setInput(input.x, input.y, input.yaw);
+    }
+
+    /**
+     * The replay document, for `JSON.stringify`.
+     * @returns {Object}
+     */
+    toJSON() {
+        return this.document;
+    }
+}
+
+export class MB_ReplayRecorder {
+    /**
+     * Initializes a new instance of the MB_ReplayRecorder class.
+     * Records a run: call `record` before every step from the start of the run, then `finish` once it ended.
+     * @param {Object} options - Configuration options for the recording.
+     * @param {Object} options.level - The level document the run is on.
+     * @param {number} options.seed - The seed of the physics world.
+     * @param {number} options.timestep - The length of a physics step, in seconds.
+     * @param {?number} [options.startCheckpoint] - The checkpoint the run starts from, if not the spawn point.
+     * @returns {MB_ReplayRecorder}
+     */
+    constructor(options) {
+        this.levelHash = MB_LevelHash.compute(options.level);
+        this.levelName = options.level.name || "";
+        this.seed = options.seed;
+        this.timestep = options.timestep;
+        this.startCheckpoint = options.startCheckpoint ?? null;
+        /** The number of steps recorded so far. */
+        this.ticks = 0;
+        /**
+         * The runs of identical inputs, as `[count, x, y, yaw]`.
+         * @private
+         */
+        this.$runs = [];
+    }
+
+    /**
+     * Rounds a marble's input the way it is stored, and records it for the coming step.
+     * The marble must be driven by the rounded input, or the replay would drift away from the run.
+     * @param {MB_PhysicsMarble} marble - The marble.
+     * @returns {void}
+     */
+    record(marble) {
+        const x = quantizeAxis(marble.input.x);
+        const y = quantizeAxis(marble.input.y);
+        const yaw = quantizeAngle(marble.input.yaw);
+        marble.setInput(x / 127, y / 127, yaw / 65536 * 2 * Math.PI);
+        const last = this.$runs[this.$runs.length - 1];
+        if (last && last[1] === x && last[2] === y && last[3] === yaw && last[0] < 0xffff) last[0]++;
+        else this.$runs.push([1, x, y, yaw]);
+        this.ticks++;
+    }
+
+    /**
+     * Starts the recording over, for a new run.
+     * @param {number} seed - The seed of the physics world for the new run.
+     * @returns {void}
+     */
+    restart(seed) {
+        this.seed = seed;
+        this.ticks = 0;
+        this.$runs = [];
+    }
+
+    /**
+     * Ends the recording.
+     * @param {Object} [options] - What the run was.
+     * @param {string} [options.player] - The name of the player.
+     * @param {{time: number, splits: Array<number>, timedOut: boolean}} [options.result] - The run's result.
+     * @returns {MB_Replay}
+     */
+    finish(options = {}) {
+        const view = new DataView(new ArrayBuffer(this.$runs.length * RUN_SIZE));
+        this.$runs.forEach(([count, x, y, yaw], i) => {
+            view.setUint16(i * RUN_SIZE, count);
+            view.setInt8(i * RUN_SIZE + 2, x);
+            view.setInt8(i * RUN_SIZE + 3, y);
+            view.setUint16(i * RUN_SIZE + 4, yaw);
+        });
+        // btoa only takes strings of bytes
+        let binary = "";
+        new Uint8Array(view.buffer).forEach(byte => binary += String.fromCharCode(byte));
+        return new MB_Replay({
+            format: "mbreplay",
+            version: MB_REPLAY_FORMAT_VERSION,
+            physicsVersion: MB_PHYSICS_VERSION,
+            levelHash: this.levelHash,
+            seed: this.seed,
+            startCheckpoint: this.startCheckpoint,
+            timestep: this.timestep,
+            ticks: this.ticks,
+            inputs: btoa(binary),
+            level: this.levelName,
+            player: options.player || "",
+            recordedAt: new Date().toISOString(),
+            result: options.result ? {time: options.result.time, splits: [...options.result.splits], timedOut: options.result.timedOut} : null,
+        });
+    }
+}
@@ -0,0 +1,406 @@
+/*
+ * Settings: the player's preferences, as described by settings-schema.json.
+ *
+ * The settings are kept in the storage they are given (`localStorage`, or an `MB_MemoryStorage` when it isn't available).
+ * Whatever is read (from the storage, or from an imported file) is checked against the schema: values of the wrong
+ * type, out of range or not in their enum are replaced with their default, missing ones are filled in, and unknown
+ * ones are dropped. Changing a single setting (`set`) is stricter: an invalid value is rejected, and nothing changes.
+ *
+ * Stored settings carry the version of their layout (`MB_SETTINGS_VERSION`), under a key of their own. When the
+ * layout changes in a way filling in and dropping values can't follow (e.g. a setting is renamed), the version is
+ * bumped and a migration is added to `MB_SettingsMigrations`.
+ *
+ * Exported settings are saved as a JSON document (a `.mbsettings` file):
+ * - `format`: always "mbsettings", and `version`: the version of the settings' layout.
+ * - `settings`: the settings.
+ */
+
+/** The version of the settings' layout. */
+export const MB_SETTINGS_VERSION = 1;
+
+/**
+ * The migrations of stored settings: the one at index `n` takes settings of version `n` to version `n + 1`.
+ * Settings stored before they were versioned are of version 0.
+ */
+export const MB_SettingsMigrations = [
+    // 0 → 1: unversioned settings were saved with the `$schema` key of settings-default.json, and the oldest ones with
+    // the gamepad's pause button (`controls.gamepadControls.playPause`) instead of a binding of the pause action
+    settings => {
+        delete settings.$schema;
+        const button = settings.controls?.gamepadControls?.playPause;
+        if (typeof button === "string") {
+            if (!settings.controls.bindings?.pause) {
+                settings.controls.bindings = {...settings.controls.bindings, pause: ["Escape", `Gamepad:${button}`]};
+            }
+            delete settings.controls.gamepadControls.playPause;
+        }
+        return settings;
+    },
+];
+
+export class MB_SettingsError extends Error {
+    /**
+     * Initializes a new instance of the MB_SettingsError class.
+     * @param {'invalid' | 'version-mismatch'} code - What went wrong.
+     * @param {string} message - A description of what went wrong.
+     * @returns {MB_SettingsError}
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = "MB_SettingsError";
+        this.code = code;
+    }
+}
+
+export class MB_MemoryStorage {
+    /**
+     * Initializes a new instance of the MB_MemoryStorage class.
+     * Keeps items like `localStorage` does, until the page is closed.
+     * @returns {MB_MemoryStorage}
+     */
+    constructor() {
+        /** @private */
+        this.$items = new Map();
+    }
+
+    /**
+     * @param {string} key - The key of the item.
+     * @returns {?string} The item, or null if there is none.
+     */
+    getItem(key) {
+        return this.$items.has(key) ? this.$items.get(key) : null;
+    }
+
+    /**
+     * @param {string} key - The key of the item.
+     * @param {string} value - The item.
+     * @returns {void}
+     */
+    setItem(key, value) {
+        this.$items.set(key, String(value));
+    }
+
+    /**
+     * @param {string} key - The key of the item.
+     * @returns {void}
+     */
+    removeItem(key) {
+        this.$items.delete(key);
+    }
+}
+
+/**
+ * Gives the value at a dotted path (e.g. "display.quality") of an object, or undefined.
+ * @private
+ */
+function getPath(object, path) {
+    if (!path) return object;
+    return path.split(".").reduce((value, key) => value !== null && typeof value === "object" ? value[key] : undefined, object);
+}
+
+/**
+ * Gives the schema of the setting at a dotted path, or undefined if there is no such setting.
+ * @private
+ */
+function getSchema(schema, path) {
+    return path.split(".").reduce((section, key) => section?.properties && Object.hasOwn(section.properties, key) ? section.properties[key] : undefined, schema);
+}
+
+/**
+ * Checks a value against a schema, falling back to a default.
+ * @private
+ */
+function normalize(schema, value, fallback) {
+    if (schema.type === "object" || schema.properties) {
+        const result = {};
+        const object = value !== null && typeof value === "object" && !Array.isArray(value) ? value : {};
+        const defaults = fallback !== null && typeof fallback === "object" ? fallback : {};
+        for (const [key, property] of Object.entries(schema.properties || {})) {
+            result[key] = normalize(property, object[key], defaults[key]);
+        }
+        return result;
+    }
+    let valid;
+    switch (schema.type) {
+        case "boolean":
+            valid = typeof value === "boolean";
+            break;
+        case "integer":
+            valid = Number.isInteger(value);
+            break;
+        case "number":
+            valid = typeof value === "number" && Number.isFinite(value);
+            break;
+        case "string":
+            valid = typeof value === "string";
+            break;
+        case "array":
+            valid = Array.isArray(value) && value.every(item => normalize(schema.items || {}, item, undefined) === item);
+            if (valid) value = [...value];
+            break;
+        default:
+            valid = value !== undefined;
+    }
+    if (valid && schema.enum && !schema.enum.includes(value)) valid = false;
+    if (!valid) return structuredClone(fallback);
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined) value = Math.max(schema.minimum, value);
+        if (schema.maximum !== undefined) value = Math.min(schema.maximum, value);
+    }
+    return value;
+}
+
+/**
+ * Whether a value matches a schema as it is, with nothing to replace, fill in, drop or clamp.
+ * @private
+ */
+function isValid(schema, value) {
+    if (schema.type === "object" || schema.properties) {
+        if (value === null || typeof value !== "object" || Array.isArray(value)) return false;
+        const properties = schema.properties || {};
+        return Object.keys(value).every(key => Object.hasOwn(properties, key)) &&
+            Object.entries(properties).every(([key, property]) => isValid(property, value[key]));
+    }
+    return value !== undefined && JSON.stringify(normalize(schema, value, undefined)) === JSON.stringify(value);
+}
+
+export class MB_Settings {
+    /**
+     * Initializes a new instance of the MB_Settings class, loading the stored settings.
+     * @param {Object} options - Configuration options for the settings.
+     * @param {Object} options.schema - The settings' JSON schema (settings-schema.json).
+     * @param {Object} options.defaults - The default settings (settings-default.json).
+     * @param {Storage | MB_MemoryStorage} options.storage - Where the settings are kept.
+     * @param {string} [options.key="MB_Settings"] - The key of the settings in the storage. Their version is kept under
+     * the same key, followed by "_Version".
+     * @returns {MB_Settings}
+     */
+    constructor(options) {
+        this.schema = options.schema;
+        this.defaults = normalize(options.schema, options.defaults, {});
+        this.storage = options.storage;
+        this.key = options.key || "MB_Settings";
+        /**
+         * The listeners of `subscribe`, by path.
+         * @private
+         */
+        this.$listeners = new Map();
+        /** @private */
+        this.$values = this.$load();
+    }
+
+    /**
+     * Whether the settings are kept when the page is closed.
+     * @returns {boolean}
+     */
+    get persistent() {
+        return !(this.storage instanceof MB_MemoryStorage);
+    }
+
+    /**
+     * Takes settings of a version to the current one (see `MB_SettingsMigrations`).
+     * @param {Object} settings - The settings. They may be modified.
+     * @param {number} version - Their version.
+     * @throws {MB_SettingsError} If the settings are of a newer version of the game.
+     * @returns {Object} The migrated settings, not yet checked against the schema.
+     */
+    static migrate(settings, version) {
+        if (version > MB_SETTINGS_VERSION) {
+            throw new MB_SettingsError("version-mismatch", "These settings are from a newer version of the game.");
+        }
+        for (let from = version; from < MB_SETTINGS_VERSION; from++) {
+            settings = MB_SettingsMigrations[from](settings);
+        }
+        return settings;
+    }
+
+    /**
+     * Gives a setting, or a section of the settings.
+     * @param {string} [path=""] - The dotted path of the setting (e.g. "display.quality"). If empty, every setting is given.
+     * @returns {*} A copy of the setting, or undefined if there is no such setting.
+     */
+    get(path = "") {
+        const value = getPath(this.$values, path);
+        return value !== null && typeof value === "object" ? structuredClone(value) : value;
+    }
+
+    /**
+     * Gives a boolean setting.
+     * @param {string} path - The dotted path of the setting.
+     * @returns {boolean} The setting, or its default if it isn't a boolean.
+     */
+    getBoolean(path) {
+        return this.$getTyped(path, "boolean");
+    }
+
+    /**
+     * Gives a numeric setting.
+     * @param {string} path - The dotted path of the setting.
+     * @returns {number} The setting, or its default if it isn't a number.
+     */
+    getNumber(path) {
+        return this.$getTyped(path, "number");
+    }
+
+    /**
+     * Gives a string setting.
+     * @param {string} path - The dotted path of the setting.
+     * @returns {string} The setting, or its default if it isn't a string.
+     */
+    getString(path) {
+        return this.$getTyped(path, "string");
+    }
+
+    /**
+     * Changes a setting, or a section of the settings, and saves the settings.
+     * @param {string} path - The dotted path of the setting.
+     * @param {*} value - The new value. A section must be given whole.
+     * @throws {MB_SettingsError} If there is no such setting, or the value isn't valid for it. The setting is left as it was.
+     * @returns {void}
+     */
+    set(path, value) {
+        const schema = getSchema(this.schema, path);
+        if (!schema) throw new MB_SettingsError("invalid", `There is no setting "${path}".`);
+        if (!isValid(schema, value)) throw new MB_SettingsError("invalid", `This is not a valid value for the setting "${path}".`);
+        const values = structuredClone(this.$values);
+        const keys = path.split(".");
+        const last = keys.pop();
+        const parent = keys.reduce((object, key) => {
+            if (object[key] === null || typeof object[key] !== "object") object[key] = {};
+            return object[key];
+        }, values);
+        parent[last] = value;
+        this.replace(values);
+    }
+
+    /**
+     * Replaces every setting and saves the settings.
+     * @param {Object} values - The new settings, of the current version. Invalid or missing values are replaced with their default.
+     * @returns {void}
+     */
+    replace(values) {
+        const previous = this.$values;
+        this.$values = normalize(this.schema, values, this.defaults);
+        this.$save();
+        this.$notify(previous);
+    }
+
+    /**
+     * Puts every setting back to its default.
+     * @returns {void}
+     */
+    reset() {
+        this.replace(this.defaults);
+    }
+
+    /**
+     * Calls a listener whenever a setting, or a setting of a section, changes.
+     * @param {string} path - The dotted path of the setting or section. If empty, the listener is called on every change.
+     * @param {function(*, *): void} listener - Called with the new and previous values.
+     * @returns {function(): void} Unsubscribes the listener.
+     */
+    subscribe(path, listener) {
+        if (!this.$listeners.has(path)) this.$listeners.set(path, new Set());
+        this.$listeners.get(path).add(listener);
+        return () => this.$listeners.get(path).delete(listener);
+    }
+
+    /**
+     * Saves the settings as the contents of a `.mbsettings` file.
+     * @returns {string}
+     */
+    export() {
+        return JSON.stringify({format: "mbsettings", version: MB_SETTINGS_VERSION, settings: this.$values}, null, 4);
+    }
+
+    /**
+     * Replaces every setting with the ones of a `.mbsettings` file, migrating them if they are of an older version.
+     * @param {string} text - The file's contents.
+     * @throws {MB_SettingsError} If the file isn't settings, or is from a newer version of the game.
+     * @returns {void}
+     */
+    import(text) {
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (error) {
+            throw new MB_SettingsError("invalid", "These are not settings.");
+        }
+        if (!document || document.format !== "mbsettings" || !Number.isInteger(document.version) ||
+            document.settings === null || typeof document.settings !== "object") {
+            throw new MB_SettingsError("invalid", "These are not settings.");
+        }
+        this.replace(MB_Settings.migrate(document.settings, document.version));
+    }
+
+    /**
+     * The settings, for `JSON.stringify`.
+     * @returns {Object}
+     */
+    toJSON() {
+        return this.get();
+    }
+
+    /** @private */
+    $getTyped(path, type) {
+        const value = getPath(this.$values, path);
+        return typeof value === type ? value : getPath(this.defaults, path);
+    }
+
+    /**
+     * Reads the stored settings, migrating them to the current version. Unreadable settings are put back to their default.
+     * Settings from a newer version of the game are left stored as they are: the defaults are used until a setting changes.
+     * @private
+     */
+    $load() {
+        let values = {};
+        let save = true;
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.key));
+            if (stored !== null && typeof stored === "object") {
+                const version = Number(this.storage.getItem(`${this.key}_Version`)) || 0;
+                values = MB_Settings.migrate(stored, version);
+            }
+        } catch (error) {
+            if (error instanceof MB_SettingsError && error.code === "version-mismatch") {
+                save = false;
+                console.warn("MB_Settings: The stored settings are from a newer version of the game. The default settings are used instead.", error);
+            } else {
+                console.warn("MB_Settings: The stored settings could not be read, and were put back to their default.", error);
+            }
+        }
+        values = normalize(this.schema, values, this.defaults);
+        this.$values = values;
+        if (save) this.$save();
+        return values;
+    }
+
+    /** @private */
+    $save() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.$values));
+            this.storage.setItem(`${this.key}_Version`, String(MB_SETTINGS_VERSION));
+        } catch (error) {
+            console.warn("MB_Settings: The settings could not be saved.", error);
+        }
+    }
+
+    /**
+     * Calls the listeners of the settings that changed.
+     * @private
+     */
+    $notify(previous) {
+        for (const [path, listeners] of this.$listeners) {
+            const before = getPath(previous, path);
+            const after = getPath(this.$values, path);
+            if (JSON.stringify(before) === JSON.stringify(after)) continue;
+            for (const listener of [...listeners]) {
+                try {
+                    listener(this.get(path), before);
+                } catch (error) {
+                    console.error(`MB_Settings: A listener of "${path}" failed.`, error);
+                }
+            }
+        }
+    }
+}
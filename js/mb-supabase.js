@@ -0,0 +1,30 @@
+/*
+ * Helpers shared by the Supabase implementations of the stores and repositories (leaderboards, progress, campaigns).
+ *
+ * The Supabase client itself is created by `MB_AccountManager`, and given to the stores.
+ */
+
+export class MB_SupabaseUtility {
+    /**
+     * Gives the ID of the signed-in player.
+     * @param {Object} supabase - The Supabase client.
+     * @returns {Promise<?string>} The player's ID (a `users.id`), or null if no one is signed in.
+     */
+    static async getUserId(supabase) {
+        // The session is kept on the device, so unlike getUser() this works offline
+        const res = await supabase.auth.getSession();
+        return res.data.session ? res.data.session.user.id : null;
+    }
+
+    /**
+     * Turns an error Supabase reported into an error of a module (e.g. `MB_LeaderboardError`).
+     * Supabase reports requests that didn't reach it without an error code.
+     * @param {Object} error - The error Supabase reported.
+     * @param {function(new:Error, string, string)} ErrorClass - The module's error class, constructed with a code and a message.
+     * @param {string} offlineMessage - The message used when Supabase couldn't be reached and didn't give one.
+     * @returns {Error} An error with the code "offline" if the request didn't reach Supabase, and "rejected" otherwise.
+     */
+    static toError(error, ErrorClass, offlineMessage) {
+        return new ErrorClass(error.code ? "rejected" : "offline", error.message || offlineMessage);
+    }
+}
@@ -0,0 +1,432 @@
+/*
+ * Marble Race signaling and relay server, to host online play yourself (e.g. on a LAN).
+ *
+ *     node server/mb-relay-server.mjs [--port 8787] [--host 0.0.0.0] [--no-static]
+ *
+ * - Signaling: introduces the players of a room to each other (see `MB_WebSocketSignaling`).
+ * - Relay: forwards the frames of players who can't connect directly (see `MB_RelayTransport`).
+ * - Static files: serves the game itself from the repository, so other devices can open http://<this machine>:8787/.
+ *   Only the files the game loads are served (see `STATIC_PATHS`), not the rest of the repository.
+ *
+ * Only Node's built-in modules are used; WebSockets are implemented here (RFC 6455, without extensions).
+ */
+
+import { createServer } from "node:http";
+import { createHash } from "node:crypto";
+import { createReadStream, statSync } from "node:fs";
+import { dirname, extname, join, resolve, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+
+/** The largest WebSocket message accepted, in bytes. */
+const MAX_MESSAGE_SIZE = 1 << 20;
+
+/** The GUID appended to the client's key in the WebSocket handshake. */
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/**
+ * The files and directories of the repository served to the players: the page, and what it loads (the scripts with
+ * the bundled JSON they import, the styles and fonts, and the images).
+ */
+const STATIC_PATHS = ["index.html", "js/", "css/", "img/", "sound/"];
+
+const MIME_TYPES = {
+    ".html": "text/html; charset=utf-8",
+    ".js": "text/javascript; charset=utf-8",
+    ".mjs": "text/javascript; charset=utf-8",
+    ".json": "application/json; charset=utf-8",
+    ".css": "text/css; charset=utf-8",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".svg": "image/svg+xml",
+    ".ico": "image/x-icon",
+    ".webp": "image/webp",
+    ".mp3": "audio/mpeg",
+    ".ogg": "audio/ogg",
+    ".wav": "audio/wav",
+    ".glb": "model/gltf-binary",
+    ".gltf": "model/gltf+json",
+    ".mbrace": "application/json; charset=utf-8",
+};
+
+export class MB_ServerSocket {
+    /**
+     * Initializes a new instance of the MB_ServerSocket class.
+     * The server end of a WebSocket connection, once the handshake is done.
+     * @param {import("node:net").Socket} socket - The TCP socket.
+     * @returns {MB_ServerSocket}
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.closed = false;
+        /**
+         * Called with each message: a string for text messages, a Buffer for binary ones.
+         * @type {function(string | Buffer)}
+         */
+        this.onmessage = () => {};
+        /**
+         * Called once when the connection is closed, by either end.
+         * @type {function()}
+         */
+        this.onclose = () => {};
+        /** @private */
+        this.$buffer = Buffer.alloc(0);
+        /**
+         * The frames of a fragmented message received so far, with the message's opcode.
+         * @private
+         */
+        this.$fragments = null;
+        socket.setNoDelay(true);
+        socket.on("data", data => this.$receive(data));
+        // The HTTP server keeps upgraded sockets half-open when the other end stops sending
+        socket.on("end", () => this.$closed());
+        socket.on("close", () => this.$closed());
+        socket.on("error", () => this.$closed());
+    }
+
+    /**
+     * Sends a message.
+     * @param {string | Buffer | Uint8Array} data - Text, or binary data.
+     * @returns {void}
+     */
+    send(data) {
+        if (this.closed) return;
+        const text = typeof data === "string";
+        this.$sendFrame(text ? 0x1 : 0x2, text ? Buffer.from(data) : Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+    }
+
+    /**
+     * Closes the connection.
+     * @param {number} [code=1000] - The close code.
+     * @returns {void}
+     */
+    close(code = 1000) {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.$sendFrame(0x8, payload);
+        // Let the close frame go out before letting go of the socket
+        this.socket.end(() => this.socket.destroy());
+        this.$closed(false);
+    }
+
+    /** @private */
+    $sendFrame(opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    /**
+     * Parses every complete frame received so far.
+     * @private
+     */
+    $receive(data) {
+        this.$buffer = Buffer.concat([this.$buffer, data]);
+        while (!this.closed && this.$buffer.length >= 2) {
+            const first = this.$buffer[0], second = this.$buffer[1];
+            let length = second & 0x7f;
+            let offset = 2;
+            if (length === 126) {
+                if (this.$buffer.length < 4) return;
+                length = this.$buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (this.$buffer.length < 10) return;
+                length = Number(this.$buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            // Clients must mask their frames
+            if (!(second & 0x80) || length > MAX_MESSAGE_SIZE) {
+                this.close(length > MAX_MESSAGE_SIZE ? 1009 : 1002);
+                return;
+            }
+            if (this.$buffer.length < offset + 4 + length) return;
+            const mask = this.$buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(this.$buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            this.$buffer = this.$buffer.subarray(offset + 4 + length);
+            this.$handleFrame(first & 0x80, first & 0x0f, payload);
+        }
+    }
+
+    /** @private */
+    $handleFrame(final, opcode, payload) {
+        switch (opcode) {
+            case 0x0: // Continuation
+            case 0x1: // Text
+            case 0x2: { // Binary
+                if (opcode === 0x0 ? !this.$fragments : this.$fragments) {
+                    this.close(1002);
+                    return;
+                }
+                if (opcode !== 0x0) this.$fragments = {opcode: opcode, frames: [], size: 0};
+                this.$fragments.frames.push(payload);
+                this.$fragments.size += payload.length;
+                if (this.$fragments.size > MAX_MESSAGE_SIZE) {
+                    this.close(1009);
+                    return;
+                }
+                if (!final) return;
+                const message = Buffer.concat(this.$fragments.frames);
+                const text = this.$fragments.opcode === 0x1;
+                this.$fragments = null;
+                this.onmessage(text ? message.toString("utf8") : message);
+                break;
+            }
+            case 0x8: // Close
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                break;
+            case 0x9: // Ping
+                this.$sendFrame(0xa, payload);
+                break;
+            case 0xa: // Pong
+                break;
+            default:
+                this.close(1002);
+        }
+    }
+
+    /** @private */
+    $closed(destroy = true) {
+        if (this.closed) return;
+        this.closed = true;
+        if (destroy) this.socket.destroy();
+        this.onclose();
+    }
+}
+
+export class MB_RelayServer {
+    /**
+     * Initializes a new instance of the MB_RelayServer class.
+     * Keeps the rooms and passes messages between their players. Hand it WebSocket connections with `accept`.
+     * @returns {MB_RelayServer}
+     */
+    constructor() {
+        /**
+         * The open rooms by join code, with the host's peer ID and the signaling sockets by peer ID.
+         * @type {Map<string, {hostId: string, peers: Map<string, MB_ServerSocket>}>}
+         */
+        this.rooms = new Map();
+        /**
+         * The relay sockets by join code, then by peer ID. They outlive the signaling room, since players
+         * keep racing once they are connected.
+         * @type {Map<string, Map<string, MB_ServerSocket>>}
+         */
+        this.relays = new Map();
+    }
+
+    /**
+     * Serves a WebSocket connection. Its first message says whether it is for signaling (`open`) or relaying (`relay`).
+     * @param {MB_ServerSocket} socket - The connection.
+     * @returns {void}
+     */
+    accept(socket) {
+        let role = null;
+        socket.onmessage = data => {
+            if (role === "relay" && typeof data !== "string") {
+                this.$relay(socket, data);
+                return;
+            }
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                socket.close(1003);
+                return;
+            }
+            if (role === null && message.type === "open") role = this.$open(socket, message) ? "signaling" : null;
+            else if (role === null && message.type === "relay") role = this.$attachRelay(socket, message) ? "relay" : null;
+            else if (role === "signaling" && message.type === "signal") this.$signal(socket, message);
+        };
+    }
+
+    /**
+     * Opens a room for its host, or lets a player enter it.
+     * @private
+     * @returns {boolean} Whether the socket is now in the room.
+     */
+    $open(socket, message) {
+        const fail = (code, text) => {
+            socket.send(JSON.stringify({type: "error", code: code, message: text}));
+            return false;
+        };
+        const {room: code, peer, host} = message;
+        if (typeof code !== "string" || typeof peer !== "string" || !code || !peer || peer.length > 64) return fail("signaling", "Malformed open message.");
+        let room = this.rooms.get(code);
+        if (host && room) return fail("code-taken", `The room code ${code} is already in use.`);
+        if (!host && !room) return fail("room-not-found", `There is no room with the code ${code}.`);
+        if (room && room.peers.has(peer)) return fail("signaling", "That peer ID is already in the room.");
+        if (host) {
+            room = {hostId: peer, peers: new Map()};
+            this.rooms.set(code, room);
+        }
+        room.peers.set(peer, socket);
+        socket.room = code;
+        socket.peer = peer;
+        socket.onclose = () => {
+            if (this.rooms.get(code) !== room) return;
+            room.peers.delete(peer);
+            // The room closes with its host, so its code can be used again
+            if (peer === room.hostId) {
+                this.rooms.delete(code);
+                room.peers.forEach(other => other.close());
+            }
+        };
+        socket.send(JSON.stringify({type: "opened", hostId: room.hostId}));
+        return true;
+    }
+
+    /**
+     * Passes a signaling message to another player of the room.
+     * @private
+     */
+    $signal(socket, message) {
+        const recipient = this.rooms.get(socket.room)?.peers.get(message.to);
+        if (recipient) recipient.send(JSON.stringify({type: "signal", from: socket.peer, data: message.data}));
+    }
+
+    /**
+     * Starts relaying a player's frames. The room must be open at that point.
+     * @private
+     * @returns {boolean} Whether the socket relays now.
+     */
+    $attachRelay(socket, message) {
+        const fail = (code, text) => {
+            socket.send(JSON.stringify({type: "error", code: code, message: text}));
+            return false;
+        };
+        const {room: code, peer} = message;
+        if (typeof code !== "string" || typeof peer !== "string" || !peer || peer.length > 64) return fail("signaling", "Malformed relay message.");
+        if (!this.rooms.get(code)?.peers.has(peer)) return fail("room-not-found", `You are not in a room with the code ${code}.`);
+        if (!this.relays.has(code)) this.relays.set(code, new Map());
+        const relays = this.relays.get(code);
+        if (relays.has(peer)) return fail("signaling", "That peer is already relayed.");
+        relays.set(peer, socket);
+        socket.room = code;
+        socket.peer = peer;
+        socket.onclose = () => {
+            if (relays.get(peer) !== socket) return;
+            relays.delete(peer);
+            if (!relays.size) this.relays.delete(code);
+            relays.forEach(other => other.send(JSON.stringify({type: "left", peer: peer})));
+        };
+        socket.send(JSON.stringify({type: "relaying"}));
+        return true;
+    }
+
+    /**
+     * Forwards a frame to its recipient, with the sender's peer ID in place of the recipient's.
+     * @private
+     */
+    $relay(socket, frame) {
+        const idLength = frame[0];
+        if (frame.length < 2 + idLength) return;
+        const recipient = this.relays.get(socket.room)?.get(frame.toString("utf8", 1, 1 + idLength));
+        if (!recipient) return;
+        const from = Buffer.from(socket.peer);
+        recipient.send(Buffer.concat([Buffer.from([from.length]), from, frame.subarray(1 + idLength)]));
+    }
+}
+
+/**
+ * Answers HTTP requests with the game's files (see `STATIC_PATHS`), if a root directory is given.
+ * @private
+ */
+function serveStatic(root, request, response) {
+    if (!root || (request.method !== "GET" && request.method !== "HEAD")) {
+        response.writeHead(root ? 405 : 404).end();
+        return;
+    }
+    let path;
+    try {
+        path = decodeURIComponent(new URL(request.url, "http://localhost").pathname);
+    } catch (error) {
+        response.writeHead(400).end();
+        return;
+    }
+    if (path.endsWith("/")) path += "index.html";
+    const file = resolve(join(root, path));
+    const relative = file.slice(root.length + 1).split(sep).join("/");
+    const served = STATIC_PATHS.some(allowed => allowed.endsWith("/") ? relative.startsWith(allowed) : relative === allowed);
+    // Nothing outside the root or the game's files, and no hidden files (.git...)
+    if (!file.startsWith(root + sep) || !served || relative.split("/").some(part => part.startsWith("."))) {
+        response.writeHead(404).end();
+        return;
+    }
+    let stats;
+    try {
+        stats = statSync(file);
+    } catch (error) {
+        stats = null;
+    }
+    if (!stats || !stats.isFile()) {
+        response.writeHead(404).end();
+        return;
+    }
+    response.writeHead(200, {
+        "Content-Type": MIME_TYPES[extname(file).toLowerCase()] || "application/octet-stream",
+        "Content-Length": stats.size,
+    });
+    if (request.method === "HEAD") response.end();
+    else createReadStream(file).pipe(response);
+}
+
+/**
+ * Starts the server.
+ * @param {Object} [options] - Configuration options for the server.
+ * @param {number} [options.port=8787] - The port to listen on.
+ * @param {string} [options.host="0.0.0.0"] - The address to listen on.
+ * @param {?string} [options.root] - The directory to serve the game from, or null not to serve files.
+ * @returns {Promise<import("node:http").Server>}
+ */
+export function startRelayServer(options = {}) {
+    const relay = new MB_RelayServer();
+    const root = options.root === undefined ? resolve(dirname(fileURLToPath(import.meta.url)), "..") : options.root;
+    const server = createServer((request, response) => serveStatic(root, request, response));
+    server.on("upgrade", (request, socket) => {
+        const key = request.headers["sec-websocket-key"];
+        if (request.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+            socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+            return;
+        }
+        const accept = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+        socket.write([
+            "HTTP/1.1 101 Switching Protocols",
+            "Upgrade: websocket",
+            "Connection: Upgrade",
+            `Sec-WebSocket-Accept: ${accept}`,
+            "", "",
+        ].join("\r\n"));
+        relay.accept(new MB_ServerSocket(socket));
+    });
+    return new Promise((resolvePromise, reject) => {
+        server.once("error", reject);
+        server.listen(options.port ?? 8787, options.host ?? "0.0.0.0", () => resolvePromise(server));
+    });
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const value = name => {
+        const index = args.indexOf(name);
+        return index >= 0 ? args[index + 1] : undefined;
+    };
+    const port = Number(value("--port") ?? process.env.PORT ?? 8787);
+    const host = value("--host") ?? "0.0.0.0";
+    const server = await startRelayServer({port: port, host: host, root: args.includes("--no-static") ? null : undefined});
+    console.log(`Marble Race relay server listening on ${host}:${server.address().port}`);
+}